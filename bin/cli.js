@@ -0,0 +1,278 @@
+/**
+ * Enhanced PubMed MCP Server - command line mode
+ *
+ * Runs one tool from the terminal without an MCP client, e.g.
+ *   enhanced-pubmed-mcp search "crispr base editing" --max-results 20 --format ndjson
+ *   cat pmids.txt | enhanced-pubmed-mcp export --format ris > refs.ris
+ *
+ * Options are the tool's input parameters with dashes (--max-results for max_results), so the
+ * CLI always accepts exactly what MCP clients can send.
+ */
+
+// The server module (axios, the MCP SDK, the data directory) is loaded only when a command runs
+function loadServer() {
+  return require('../pubmed-node.js');
+}
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+// input: how positional arguments map to the tool; records: the JSON rows printed by --format ndjson
+const COMMANDS = {
+  search: {
+    tool: 'search_pubmed',
+    usage: 'search <query> [options]',
+    input: 'query',
+    records: data => data.articles || []
+  },
+  abstract: {
+    tool: 'get_full_abstract',
+    usage: 'abstract <pmid|pmcid|doi>... [options]   (or PMIDs on stdin)',
+    input: 'ids',
+    records: data => data.articles || []
+  },
+  pmc: {
+    tool: 'get_pmc_fulltext',
+    usage: 'pmc <pmcid|pmid> [options]',
+    input: 'pmc',
+    records: data => (data.sections || []).map(section => ({ pmcid: data.pmcid, pmid: data.pmid, ...section }))
+  },
+  export: {
+    tool: 'export_citations',
+    usage: 'export <pmid>... [options]   (or PMIDs on stdin; --format json is CSL-JSON, ndjson writes CSL-JSON lines)',
+    input: 'pmids',
+    jsonFormat: 'csl_json',
+    records: data => data
+  },
+  trends: {
+    tool: 'publication_trends',
+    usage: 'trends <query>... [options]',
+    input: 'queries',
+    records: data => data.series.flatMap(({ query, counts }) => counts.map(point => ({ query, ...point })))
+  }
+};
+
+function toParamName(flag) {
+  return flag.replace(/-/g, '_');
+}
+
+function toFlagName(param) {
+  return param.replace(/_/g, '-');
+}
+
+// Convert a flag value to the type the tool's input schema declares
+function coerceValue(name, value, schema) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+  if (types.includes('boolean')) {
+    if (value === true || /^(true|1|yes)$/i.test(value)) return true;
+    if (/^(false|0|no)$/i.test(value)) return false;
+    throw new UsageError(`--${toFlagName(name)} expects true or false`);
+  }
+  if (types.includes('array')) {
+    return String(value).split(',').map(item => item.trim()).filter(Boolean);
+  }
+  if (types.includes('number') && !types.includes('string')) {
+    const number = Number(value);
+    if (value === true || !Number.isFinite(number)) {
+      throw new UsageError(`--${toFlagName(name)} expects a number`);
+    }
+    return number;
+  }
+  if (value === true) {
+    throw new UsageError(`Missing value for --${toFlagName(name)}`);
+  }
+  return value;
+}
+
+// Split argv into positional arguments and tool arguments, checked against the input schema
+function parseCommandArgs(argv, properties) {
+  const positionals = [];
+  const toolArgs = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const match = /^--([a-z][a-z0-9-]*)(?:=(.*))?$/.exec(arg);
+    if (!match) {
+      positionals.push(arg);
+      continue;
+    }
+
+    let name = toParamName(match[1]);
+    let value = match[2];
+    if (value === undefined && name.startsWith('no_') && properties[name.slice(3)] && properties[name.slice(3)].type === 'boolean') {
+      name = name.slice(3);
+      value = 'false';
+    }
+
+    const schema = properties[name];
+    if (!schema) {
+      throw new UsageError(`Unknown option --${match[1]}`);
+    }
+    if (value === undefined) {
+      value = schema.type === 'boolean' || i + 1 >= argv.length || argv[i + 1].startsWith('--') ? true : argv[++i];
+    }
+
+    const coerced = coerceValue(name, value, schema);
+    toolArgs[name] = Array.isArray(coerced) && Array.isArray(toolArgs[name]) ? toolArgs[name].concat(coerced) : coerced;
+  }
+
+  return { positionals, toolArgs };
+}
+
+async function readStdin() {
+  let data = '';
+  process.stdin.setEncoding('utf8');
+  for await (const chunk of process.stdin) {
+    data += chunk;
+  }
+  return data;
+}
+
+// Identifiers from the command line, or one per line / whitespace separated on stdin ("-" forces stdin)
+async function collectIdentifiers(positionals) {
+  const fromArgs = positionals.filter(value => value !== '-');
+  if (fromArgs.length > 0 && !positionals.includes('-')) {
+    return fromArgs;
+  }
+  if (process.stdin.isTTY && !positionals.includes('-')) {
+    return fromArgs;
+  }
+
+  const fromStdin = (await readStdin()).split(/[\s,]+/).filter(Boolean);
+  return fromArgs.concat(fromStdin);
+}
+
+async function buildToolArgs(command, positionals, toolArgs) {
+  switch (command.input) {
+    case 'query':
+      if (positionals.length > 0) toolArgs.query = positionals.join(' ');
+      break;
+    case 'queries':
+      if (positionals.length > 0) toolArgs.queries = positionals;
+      break;
+    case 'pmc':
+      if (positionals.length > 1) {
+        throw new UsageError('pmc takes a single PMCID or PMID');
+      }
+      if (positionals.length === 1) {
+        toolArgs[/^PMC/i.test(positionals[0]) ? 'pmcid' : 'pmid'] = positionals[0];
+      }
+      break;
+    case 'ids':
+    case 'pmids': {
+      const ids = (toolArgs[command.input] || []).concat(await collectIdentifiers(positionals));
+      if (ids.length === 0 && toolArgs.search_id === undefined) {
+        throw new UsageError('No identifiers given: pass them as arguments or on stdin');
+      }
+      if (ids.length > 0) toolArgs[command.input] = ids;
+      break;
+    }
+  }
+  return toolArgs;
+}
+
+// Handlers flag failures with isError; the message is a "❌ ..." line or a JSON { error } object
+function resultError(text) {
+  if (text.startsWith('{')) {
+    try {
+      const data = JSON.parse(text);
+      if (data && typeof data.error === 'string') return data.error;
+    } catch (error) {
+      // Not JSON after all; print the text as it is
+    }
+  }
+  return text;
+}
+
+function writeOut(text) {
+  return new Promise(resolve => process.stdout.write(text.endsWith('\n') ? text : `${text}\n`, resolve));
+}
+
+function formatCommandHelp(name, command, tool) {
+  const properties = tool.inputSchema.properties;
+  const options = Object.keys(properties).map(param => {
+    const schema = properties[param];
+    const values = schema.enum || (schema.items && schema.items.enum);
+    let line = `  --${toFlagName(param)}`.padEnd(24) + (schema.description || '');
+    if (values) line += ` [${values.join(', ')}]`;
+    return line;
+  });
+
+  return `Usage: enhanced-pubmed-mcp ${command.usage}
+
+${tool.description}
+
+Options:
+${options.join('\n')}
+${command.jsonFormat ? `  --format json           Same as --format ${command.jsonFormat}\n` : ''}  --format ndjson         One JSON record per line
+
+Array options take comma-separated values; booleans can be negated with --no-<option>.
+`;
+}
+
+// Run a subcommand and return the process exit code
+async function runCommand(name, argv) {
+  const command = COMMANDS[name];
+
+  try {
+    const { initDatabase, handleListTools, handleCallTool } = loadServer();
+    const { tools } = await handleListTools();
+    const tool = tools.find(candidate => candidate.name === command.tool);
+
+    if (argv.includes('--help') || argv.includes('-h')) {
+      await writeOut(formatCommandHelp(name, command, tool));
+      return EXIT_OK;
+    }
+
+    // ndjson is a CLI-only format; the tool is asked for JSON and each record printed on its own line
+    const properties = { ...tool.inputSchema.properties, format: { type: 'string' } };
+    const { positionals, toolArgs } = parseCommandArgs(argv, properties);
+    const ndjson = toolArgs.format === 'ndjson';
+    if (ndjson) {
+      toolArgs.format = command.jsonFormat || 'json';
+    } else if (toolArgs.format === 'json' && command.jsonFormat) {
+      toolArgs.format = command.jsonFormat;
+    }
+    await buildToolArgs(command, positionals, toolArgs);
+
+    await initDatabase();
+    const result = await handleCallTool({ params: { name: command.tool, arguments: toolArgs } });
+    const texts = result.content.map(part => part.text);
+
+    // The last block is the payload; any earlier ones are status notes (e.g. the export summary)
+    const payload = texts.pop();
+    if (result.isError) {
+      console.error(resultError(payload));
+      return EXIT_FAILED;
+    }
+    texts.forEach(note => console.error(note));
+
+    if (ndjson) {
+      const records = command.records(JSON.parse(payload));
+      if (records.length > 0) {
+        await writeOut(records.map(record => JSON.stringify(record)).join('\n'));
+      }
+    } else {
+      await writeOut(payload);
+    }
+    return EXIT_OK;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`${error.message}\nRun "enhanced-pubmed-mcp ${name} --help" for options.`);
+      return EXIT_USAGE;
+    }
+    console.error(`Error: ${error.message}`);
+    return EXIT_FAILED;
+  }
+}
+
+module.exports = { COMMANDS, runCommand };
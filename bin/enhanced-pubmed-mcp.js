@@ -6,6 +6,9 @@
  * This script allows the MCP server to be executed via:
  * - npx enhanced-pubmed-mcp-server
  * - npx -y enhanced-pubmed-mcp-server
+ *
+ * or runs a single tool from the terminal via a subcommand (see cli.js):
+ * - npx enhanced-pubmed-mcp-server search "query" --format json
  */
 
 const path = require('path');
@@ -17,6 +20,23 @@ const serverPath = path.join(__dirname, '..', 'pubmed-node.js');
 // Parse command line arguments
 const args = process.argv.slice(2);
 
+// Subcommands run one tool in this process instead of starting the MCP server. The server only
+// takes --options, so a leading word is a command; cli.js (and the server module) load only then.
+if (args[0] && !args[0].startsWith('-')) {
+  const { COMMANDS, runCommand } = require('./cli');
+  if (!COMMANDS[args[0]]) {
+    console.error(`Unknown command "${args[0]}". Use one of: ${Object.keys(COMMANDS).join(', ')} (or --help).`);
+    process.exit(2);
+  }
+  runCommand(args[0], args.slice(1))
+    .then(code => process.exit(code))
+    .catch(err => {
+      console.error(err.message);
+      process.exit(1);
+    });
+  return;
+}
+
 // Check for help or version flags
 if (args.includes('--help') || args.includes('-h')) {
   console.log(`
@@ -25,10 +45,30 @@ Enhanced PubMed MCP Server
 Usage:
   npx enhanced-pubmed-mcp-server [options]
   npx -y enhanced-pubmed-mcp-server
+  npx enhanced-pubmed-mcp-server <command> [arguments] [options]
+
+Commands (run one tool and print the result; <command> --help lists its options):
+  search <query>              Search PubMed
+  abstract <id>...            Complete abstracts for PMIDs, PMCIDs or DOIs (or PMIDs on stdin)
+  pmc <pmcid|pmid>            Full text of an open access PMC article
+  export <pmid>...            Export citations (or PMIDs on stdin)
+  trends <query>...           Publication counts per year
+
+  Output: search, abstract, pmc and trends take --format markdown (default), json or ndjson.
+  export takes --format bibtex (default), ris, csl_json, endnote_xml or medline; json is
+  CSL-JSON and ndjson one CSL-JSON record per line.
+  Exit codes: 0 success, 1 lookup or NCBI failure, 2 invalid arguments.
 
 Options:
-  --help, -h     Show this help message
-  --version, -v  Show version information
+  --help, -h            Show this help message
+  --version, -v         Show version information
+  --transport <mode>    stdio (default) or http (MCP over SSE, shareable by several clients)
+  --port <port>         HTTP port (default 3000)
+  --host <host>         HTTP bind address (default 127.0.0.1)
+  --auth-token <token>  Require "Authorization: Bearer <token>" (or set PUBMED_MCP_AUTH_TOKEN)
+  --cors-origin <list>  Comma-separated origins allowed by CORS, or *
+
+HTTP endpoints: GET /sse, POST /messages?sessionId=..., GET /health
 
 Claude Desktop Configuration:
 {
@@ -44,7 +84,9 @@ Features:
 - Enhanced PubMed search with complete abstracts
 - PMC full-text search support
 - MeSH terms and keywords extraction
-- SQLite database for search history
+- Local search history (set PUBMED_MCP_DATA_DIR to change location)
+- NCBI API key support (NCBI_API_KEY, NCBI_TOOL, NCBI_EMAIL)
+- On-disk response cache (PUBMED_MCP_CACHE_DIR, PUBMED_MCP_OFFLINE=1 for cache-only mode)
 - No Python dependencies required
 
 Repository: https://github.com/your-repo/enhanced-pubmed-mcp-server
@@ -7,32 +7,178 @@
  * Features:
  * - Complete abstract retrieval using efetch
  * - PMC (PubMed Central) search for full-text articles
- * - SQLite database for search results storage
+ * - Local file-based search history storage
  * - MeSH terms and keywords extraction
  */
 
 const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
 const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { SSEServerTransport } = require('@modelcontextprotocol/sdk/server/sse.js');
 const {
   CallToolRequestSchema,
   ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
   McpError,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } = require('@modelcontextprotocol/sdk/types.js');
 const axios = require('axios');
-// Removed database dependency for better npx compatibility
+// Search history uses plain JSON files instead of a native database for npx compatibility
 const { parseString } = require('xml2js');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const http = require('http');
 
 // Constants
 const NCBI_API_BASE = 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils/';
 const USER_AGENT = 'enhanced-pubmed-mcp-server-node/1.0';
-const DB_PATH = path.join(__dirname, 'enhanced_pubmed_searches.db');
+const DATA_DIR = process.env.PUBMED_MCP_DATA_DIR || path.join(os.homedir(), '.enhanced-pubmed-mcp');
+const SEARCH_STORE_DIR = path.join(DATA_DIR, 'searches');
+const SEARCH_INDEX_PATH = path.join(SEARCH_STORE_DIR, 'index.json');
+// Held while the index, a stored search or identifiers.json is rewritten, so several processes
+// (an MCP server, the CLI run from cron) can share one data directory
+const STORE_LOCK_PATH = path.join(DATA_DIR, 'store.lock');
+const STORE_LOCK_TIMEOUT = 10000;
+const STALE_STORE_LOCK_AGE = 30000;
+// Oldest searches (and their files) are pruned beyond this many (PUBMED_MCP_MAX_SEARCHES)
+const MAX_STORED_SEARCHES = Math.max(1, parseInt(process.env.PUBMED_MCP_MAX_SEARCHES, 10) || 500);
+// A PubMed search stores up to this many PMIDs of its result set, plus any later pages fetched by cursor
+const MAX_STORED_SEARCH_IDS = 1000;
+const IDENTIFIER_CACHE_PATH = path.join(DATA_DIR, 'identifiers.json');
+// Least recently resolved mappings are dropped beyond this many keys (PUBMED_MCP_MAX_IDENTIFIERS)
+const MAX_IDENTIFIER_MAPPINGS = Math.max(1, parseInt(process.env.PUBMED_MCP_MAX_IDENTIFIERS, 10) || 20000);
+
+// NCBI response cache: PUBMED_MCP_CACHE=off disables it, PUBMED_MCP_OFFLINE=1 serves only cached responses
+const CACHE_DIR = process.env.PUBMED_MCP_CACHE_DIR || path.join(DATA_DIR, 'cache');
+const CACHE_ENABLED = !/^(off|false|0|no)$/i.test(process.env.PUBMED_MCP_CACHE || '');
+const OFFLINE_MODE = /^(1|true|yes|on)$/i.test(process.env.PUBMED_MCP_OFFLINE || '');
+const CACHE_MAX_BYTES = (Number(process.env.PUBMED_MCP_CACHE_MAX_MB) || 200) * 1024 * 1024;
+const CACHE_SWEEP_INTERVAL = 50; // writes between size checks
+const HOUR_MS = 60 * 60 * 1000;
+const CACHE_TTLS = {
+  'esearch.fcgi': HOUR_MS, // counts and rankings change as PubMed is updated daily
+  'esummary.fcgi': 24 * HOUR_MS,
+  'elink.fcgi': 24 * HOUR_MS,
+  'efetch.fcgi': 30 * 24 * HOUR_MS // published records rarely change
+};
 const DEFAULT_MAX_RESULTS = 10;
 const MAX_SEARCH_RESULTS = 500;
+const MAX_ESEARCH_OFFSET = 9999; // esearch cannot page past the first 10,000 PubMed records
+
+// Entrez date fields accepted by the date_type filter
+const DATE_TYPE_FIELDS = {
+  publication: 'dp',
+  entrez: 'edat',
+  mesh: 'mhda',
+  modification: 'mdat'
+};
+
+// Friendly publication type names mapped to PubMed [pt] values
+const PUBLICATION_TYPE_FILTERS = {
+  rct: 'Randomized Controlled Trial',
+  randomized_controlled_trial: 'Randomized Controlled Trial',
+  clinical_trial: 'Clinical Trial',
+  controlled_clinical_trial: 'Controlled Clinical Trial',
+  meta_analysis: 'Meta-Analysis',
+  systematic_review: 'Systematic Review',
+  review: 'Review',
+  case_reports: 'Case Reports',
+  observational_study: 'Observational Study',
+  comparative_study: 'Comparative Study',
+  multicenter_study: 'Multicenter Study',
+  guideline: 'Guideline',
+  practice_guideline: 'Practice Guideline',
+  editorial: 'Editorial',
+  letter: 'Letter',
+  comment: 'Comment'
+};
+
+// Sort orders and the esearch value each database accepts for them
+const SORT_ORDERS = {
+  relevance: { label: 'Best match', pubmed: 'relevance', pmc: 'relevance' },
+  pub_date: { label: 'Publication date, newest first', pubmed: 'pub_date', pmc: 'pub_date' },
+  most_recent: { label: 'Most recently added', pubmed: 'most recent', pmc: 'most recent' },
+  first_author: { label: 'First author, A-Z', pubmed: 'Author' },
+  journal: { label: 'Journal name, A-Z', pubmed: 'JournalName' },
+  title: { label: 'Title, A-Z', pubmed: 'title' }
+};
+const DEFAULT_SORT = 'relevance';
+const OUTPUT_FORMATS = ['markdown', 'json'];
+// Optional sections of the full PubMed record that formatEnhancedArticle can display
+const DETAIL_SECTIONS = ['affiliations', 'grants', 'publication_types', 'comments_corrections', 'chemicals', 'databanks', 'article_date'];
+const TABLE_FORMATS = ['markdown', 'json', 'csv'];
+
+// ISO 639-1 codes mapped to PubMed [la] language names
+const LANGUAGE_CODES = {
+  en: 'english',
+  ja: 'japanese',
+  de: 'german',
+  fr: 'french',
+  es: 'spanish',
+  it: 'italian',
+  pt: 'portuguese',
+  ru: 'russian',
+  zh: 'chinese',
+  ko: 'korean'
+};
 const API_TIMEOUT = 30000;
 const RATE_LIMIT_DELAY = 340; // 3 requests per second
+const API_KEY_RATE_LIMIT_DELAY = 110; // 10 requests per second with an NCBI API key
+const MAX_RATE_LIMIT_DELAY = 5000;
+const MAX_RATE_LIMIT_RETRIES = 4;
+// Retries for timeouts, dropped connections and 5xx responses (PUBMED_MCP_MAX_RETRIES overrides)
+const MAX_TRANSIENT_RETRIES = Number.isInteger(Number(process.env.PUBMED_MCP_MAX_RETRIES)) && process.env.PUBMED_MCP_MAX_RETRIES !== ''
+  ? Math.max(0, Number(process.env.PUBMED_MCP_MAX_RETRIES))
+  : 3;
+const RETRY_BASE_DELAY = 500;
+const MAX_RETRY_DELAY = 8000;
+const TRANSIENT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EPIPE', 'EAI_AGAIN', 'ESOCKETTIMEDOUT'];
+const EFETCH_CHUNK_SIZE = 200;
+const MAX_CHUNK_SPLITS = 16; // bisections per batch when NCBI rejects or garbles a chunk
+const DEFAULT_NCBI_TOOL = 'enhanced-pubmed-mcp-server';
+// Identity parameters vary per user but never change the response, so they stay out of cache keys
+const CACHE_IGNORED_PARAMS = ['api_key', 'tool', 'email'];
+const MAX_RESULTS_PER_PAGE = 50;
+const DEFAULT_LIST_LIMIT = 20;
+const MAX_EXPORT_IDS = 1000;
+const DEFAULT_FULLTEXT_CHARS = 30000;
+const MAX_LINK_DEPTH = 3;
+const DEFAULT_BATCH_ABSTRACT_CHARS = 60000;
+const MAX_BATCH_ABSTRACT_CHARS = 500000;
+const IDENTIFIER_LOOKUP_CHUNK_SIZE = 50;
+const MAX_LINKED_RESULTS = 200;
+const DEFAULT_MESH_RESULTS = 5;
+const DEFAULT_TREND_START_YEAR = 2000;
+const MAX_TREND_YEARS = 60;
+const MAX_TREND_QUERIES = 5;
+const DEFAULT_ANALYSIS_RESULTS = 200;
+const DEFAULT_TOP_N = 10;
+const MAX_TOP_N = 50;
+const MAX_MESH_RESULTS = 20;
+const MAX_FULLTEXT_CHARS = 200000;
+
+// MCP resources: saved searches listed by resources/list, and how often subscribed searches are
+// checked for new records (PUBMED_MCP_SEARCH_REFRESH_MINUTES, 0 disables)
+const RESOURCE_LIST_LIMIT = 50;
+const SEARCH_REFRESH_INTERVAL = (process.env.PUBMED_MCP_SEARCH_REFRESH_MINUTES !== undefined && process.env.PUBMED_MCP_SEARCH_REFRESH_MINUTES !== ''
+  ? Math.max(0, Number(process.env.PUBMED_MCP_SEARCH_REFRESH_MINUTES) || 0)
+  : 60) * 60 * 1000;
+const MAX_REFRESH_NEW_RECORDS = 100;
+
+// HTTP transport (--transport http); every option can also come from the environment
+const DEFAULT_HTTP_PORT = 3000;
+const DEFAULT_HTTP_HOST = '127.0.0.1';
+const SSE_PATH = '/sse';
+const MESSAGES_PATH = '/messages';
+const HEALTH_PATH = '/health';
+const SHUTDOWN_TIMEOUT = 10000;
 
 class PubMedError extends Error {
   constructor(message) {
@@ -41,14 +187,290 @@ class PubMedError extends Error {
   }
 }
 
-// Initialize database (disabled for npx compatibility)
-function initDatabase() {
-  // Database functionality temporarily disabled for better npx compatibility
-  // All search operations work without persistent storage
-  return Promise.resolve();
+// Initialize search history store (JSON files, no native modules needed)
+async function initDatabase() {
+  await fs.promises.mkdir(SEARCH_STORE_DIR, { recursive: true });
+}
+
+// Serialize writes so concurrent tool calls cannot interleave index updates
+let storeQueue = Promise.resolve();
+
+// Run a read-modify-write of the store under an exclusive lockfile. A lock left behind by a
+// crashed process is taken over once it is older than STALE_STORE_LOCK_AGE.
+async function withStoreLock(work) {
+  await fs.promises.mkdir(DATA_DIR, { recursive: true });
+  const deadline = Date.now() + STORE_LOCK_TIMEOUT;
+  
+  for (;;) {
+    try {
+      const handle = await fs.promises.open(STORE_LOCK_PATH, 'wx');
+      await handle.writeFile(String(process.pid));
+      await handle.close();
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      
+      const stat = await fs.promises.stat(STORE_LOCK_PATH).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > STALE_STORE_LOCK_AGE) {
+        await fs.promises.unlink(STORE_LOCK_PATH).catch(() => {});
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new PubMedError(`Timed out waiting for the data directory lock (${STORE_LOCK_PATH})`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 25 + Math.random() * 50));
+    }
+  }
+  
+  try {
+    return await work();
+  } finally {
+    await fs.promises.unlink(STORE_LOCK_PATH).catch(() => {});
+  }
+}
+
+// Queue a store write behind this process's other writes and run it under the cross-process lock
+function queueStoreWrite(work) {
+  const task = storeQueue.then(() => withStoreLock(work));
+  storeQueue = task.catch(() => {});
+  return task;
+}
+
+function searchFilePath(searchId) {
+  return path.join(SEARCH_STORE_DIR, `search-${searchId}.json`);
+}
+
+// Write to a temp file first so a crash never leaves a truncated JSON file
+async function writeJsonAtomic(filePath, data) {
+  // pid alone is not unique: two writes to the same file from one process must not share a temp file
+  const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+  await fs.promises.writeFile(tmpPath, JSON.stringify(data), 'utf8');
+  await fs.promises.rename(tmpPath, filePath);
+}
+
+async function loadSearchIndex() {
+  try {
+    const data = JSON.parse(await fs.promises.readFile(SEARCH_INDEX_PATH, 'utf8'));
+    if (data && Array.isArray(data.searches)) {
+      return {
+        next_id: Number(data.next_id) || data.searches.length + 1,
+        searches: data.searches
+      };
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Failed to read search index: ${error.message}`);
+    }
+  }
+  
+  return { next_id: 1, searches: [] };
+}
+
+// Store a search (query, counts, ID list and fetched records) and return its search_id
+function saveSearch(record) {
+  return queueStoreWrite(async () => {
+    await initDatabase();
+    
+    // Reload the index under the lock, since another process may have saved a search meanwhile
+    const index = await loadSearchIndex();
+    const searchId = index.next_id;
+    const createdAt = new Date().toISOString();
+    
+    await writeJsonAtomic(searchFilePath(searchId), {
+      search_id: searchId,
+      created_at: createdAt,
+      ...record
+    });
+    
+    index.searches.push({
+      search_id: searchId,
+      database: record.database,
+      query: record.query,
+      created_at: createdAt,
+      total_count: record.total_count,
+      stored_count: storedCount(record)
+    });
+    index.next_id = searchId + 1;
+    
+    const pruned = index.searches.splice(0, Math.max(0, index.searches.length - MAX_STORED_SEARCHES));
+    await writeJsonAtomic(SEARCH_INDEX_PATH, index);
+    for (const entry of pruned) {
+      await fs.promises.unlink(searchFilePath(entry.search_id)).catch(() => {});
+    }
+    
+    return searchId;
+  });
+}
+
+// Saving history must never break a search, so failures only log and return null
+async function recordSearch(record) {
+  try {
+    const searchId = await saveSearch(record);
+    notifyResourceListChanged();
+    return searchId;
+  } catch (error) {
+    console.error(`Failed to save search history: ${error.message}`);
+    return null;
+  }
+}
+
+// Add a later cursor page to the search its first page stored: new PMIDs are appended to the ID
+// list and the page's records kept. A pruned search is saved again; like recordSearch, failures
+// only log and return null.
+async function extendSearch(searchId, record) {
+  try {
+    if (!(await loadSearch(searchId))) {
+      return recordSearch(record);
+    }
+    
+    await updateSearch(searchId, search => {
+      const knownPmids = new Set((search.id_list || []).map(String));
+      const storedPmids = new Set((search.articles || []).map(article => String(article.uid)));
+      return {
+        total_count: record.total_count,
+        webenv: record.webenv,
+        query_key: record.query_key,
+        id_list: [...(search.id_list || []), ...record.id_list.filter(pmid => !knownPmids.has(pmid))],
+        articles: [...(search.articles || []), ...record.articles.filter(article => !storedPmids.has(String(article.uid)))]
+      };
+    });
+    notifyResourceUpdated(`pubmed://search/${searchId}`);
+    return searchId;
+  } catch (error) {
+    console.error(`Failed to save search history: ${error.message}`);
+    return null;
+  }
+}
+
+// Results a stored search can page through: its PMIDs, or the records of a PMC search
+function storedCount(search) {
+  return search.database === 'pmc' ? (search.articles || []).length : (search.id_list || []).length;
+}
+
+// Merge changes into a stored search (e.g. records added by a refresh) and its index entry.
+// changes may be a function of the stored search, so it is computed under the store lock.
+function updateSearch(searchId, changes) {
+  return queueStoreWrite(async () => {
+    const search = await loadSearch(searchId);
+    if (!search) {
+      throw new PubMedError(`No stored search found with ID ${searchId}`);
+    }
+    
+    const updated = { ...search, ...(typeof changes === 'function' ? changes(search) : changes), updated_at: new Date().toISOString() };
+    await writeJsonAtomic(searchFilePath(searchId), updated);
+    
+    const index = await loadSearchIndex();
+    const entry = index.searches.find(item => item.search_id === searchId);
+    if (entry) {
+      entry.total_count = updated.total_count;
+      entry.stored_count = storedCount(updated);
+      entry.updated_at = updated.updated_at;
+      await writeJsonAtomic(SEARCH_INDEX_PATH, index);
+    }
+    
+    return updated;
+  });
+}
+
+async function loadSearch(searchId) {
+  try {
+    return JSON.parse(await fs.promises.readFile(searchFilePath(searchId), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw new PubMedError(`Failed to read stored search ${searchId}: ${error.message}`);
+  }
+}
+
+// Identifier mappings keyed as "pmid:<n>", "pmcid:PMC<n>" and "doi:<lowercase doi>"
+async function loadIdentifierCache() {
+  try {
+    const data = JSON.parse(await fs.promises.readFile(IDENTIFIER_CACHE_PATH, 'utf8'));
+    if (data && typeof data.mappings === 'object' && data.mappings !== null) {
+      return data.mappings;
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Failed to read identifier cache: ${error.message}`);
+    }
+  }
+  
+  return {};
+}
+
+function identifierCacheKey(type, value) {
+  return `${type}:${type === 'doi' ? value.toLowerCase() : value}`;
+}
+
+// Remember PMID/PMCID/DOI triples from fetched records; like search history, failures only log
+async function recordIdentifierMappings(records) {
+  if (records.length === 0) return;
+  
+  const task = queueStoreWrite(async () => {
+    const mappings = await loadIdentifierCache();
+    const resolvedAt = new Date().toISOString();
+    
+    // Keys keep insertion order, so re-adding a mapping moves it to the end and the front is the oldest
+    const remember = (key, mapping) => {
+      delete mappings[key];
+      mappings[key] = mapping;
+    };
+    for (const { pmid, pmcid, doi } of records) {
+      const mapping = { pmid: pmid || null, pmcid: pmcid || null, doi: doi || null, resolved_at: resolvedAt };
+      if (pmid) remember(identifierCacheKey('pmid', pmid), mapping);
+      if (pmcid) remember(identifierCacheKey('pmcid', pmcid), mapping);
+      if (doi) remember(identifierCacheKey('doi', doi), mapping);
+    }
+    
+    const keys = Object.keys(mappings);
+    for (const key of keys.slice(0, Math.max(0, keys.length - MAX_IDENTIFIER_MAPPINGS))) {
+      delete mappings[key];
+    }
+    
+    await writeJsonAtomic(IDENTIFIER_CACHE_PATH, { mappings });
+  });
+  
+  try {
+    await task;
+  } catch (error) {
+    console.error(`Failed to save identifier mappings: ${error.message}`);
+  }
+}
+
+// NCBI identity from the environment (NCBI_API_KEY, NCBI_TOOL, NCBI_EMAIL), falling back to
+// api_key/tool/email in the config file (PUBMED_MCP_CONFIG, default <data dir>/config.json)
+function loadNcbiCredentials() {
+  const configPath = process.env.PUBMED_MCP_CONFIG || path.join(DATA_DIR, 'config.json');
+  let config = {};
+  
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8')) || {};
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Ignoring invalid config file ${configPath}: ${error.message}`);
+    }
+  }
+  
+  return {
+    api_key: process.env.NCBI_API_KEY || config.api_key || '',
+    tool: process.env.NCBI_TOOL || config.tool || DEFAULT_NCBI_TOOL,
+    email: process.env.NCBI_EMAIL || config.email || ''
+  };
+}
+
+const ncbiCredentials = loadNcbiCredentials();
+
+function ncbiIdentityParams() {
+  const identity = { tool: ncbiCredentials.tool };
+  if (ncbiCredentials.api_key) identity.api_key = ncbiCredentials.api_key;
+  if (ncbiCredentials.email) identity.email = ncbiCredentials.email;
+  return identity;
 }
 
 // Rate limiting utility - Thread-safe implementation
+const baseRequestDelay = ncbiCredentials.api_key ? API_KEY_RATE_LIMIT_DELAY : RATE_LIMIT_DELAY;
+let requestDelay = baseRequestDelay;
 let lastRequestTime = 0;
 let requestQueue = Promise.resolve();
 
@@ -58,38 +480,311 @@ async function rateLimitedRequest() {
     const now = Date.now();
     const timeSinceLastRequest = now - lastRequestTime;
     
-    if (timeSinceLastRequest < RATE_LIMIT_DELAY) {
-      await new Promise(resolve => setTimeout(resolve, RATE_LIMIT_DELAY - timeSinceLastRequest));
+    if (timeSinceLastRequest < requestDelay) {
+      await new Promise(resolve => setTimeout(resolve, requestDelay - timeSinceLastRequest));
     }
     
     lastRequestTime = Date.now();
   });
 }
 
+// Adaptive rate: slow down sharply after a rate-limit response, then recover gradually
+function noteRateLimited() {
+  requestDelay = Math.min(requestDelay * 2, MAX_RATE_LIMIT_DELAY);
+}
+
+function noteRequestSucceeded() {
+  if (requestDelay > baseRequestDelay) {
+    requestDelay = Math.max(baseRequestDelay, Math.floor(requestDelay * 0.9));
+  }
+}
+
+// NCBI signals throttling with HTTP 429, and sometimes with a JSON body of {"error": "API rate limit exceeded"}
+function isRateLimitBody(data) {
+  return Boolean(data && typeof data === 'object' && typeof data.error === 'string' && /rate limit exceeded/i.test(data.error));
+}
+
+// NCBI reports many failures with a 200: {"error": ...}, {"esearchresult": {"ERROR": ...}} or an XML <ERROR> document
+function isNcbiErrorBody(data) {
+  if (typeof data === 'string') {
+    return /<ERROR>/.test(data.slice(0, 2000));
+  }
+  if (!data || typeof data !== 'object') return false;
+  if (typeof data.error === 'string') return true;
+  return Object.values(data).some(value => value && typeof value === 'object' && typeof value.ERROR === 'string');
+}
+
+function isRateLimited(error) {
+  return Boolean(error.response && (error.response.status === 429 || isRateLimitBody(error.response.data)));
+}
+
+// Honour Retry-After (seconds or an HTTP date); otherwise back off exponentially from one second
+function retryAfterDelay(response, attempt) {
+  const header = response && response.headers && (response.headers['retry-after'] || response.headers['Retry-After']);
+  if (header) {
+    const seconds = Number(header);
+    const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(header) - Date.now();
+    if (Number.isFinite(delay) && delay >= 0) {
+      return Math.min(delay, 60000);
+    }
+  }
+  return 1000 * Math.pow(2, attempt);
+}
+
+function isTransientError(error) {
+  if (error.response) {
+    return error.response.status >= 500;
+  }
+  return TRANSIENT_ERROR_CODES.includes(error.code);
+}
+
+// Exponential backoff with jitter, so parallel clients do not retry in lockstep
+function transientRetryDelay(attempt) {
+  const ceiling = Math.min(RETRY_BASE_DELAY * Math.pow(2, attempt), MAX_RETRY_DELAY);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+// Content-addressed key: the endpoint plus its parameters in a stable order
+function cacheKey(endpoint, params) {
+  const normalized = Object.keys(params || {})
+    .filter(key => params[key] !== undefined && params[key] !== null && !CACHE_IGNORED_PARAMS.includes(key))
+    .sort()
+    .map(key => [key, String(params[key])]);
+  return crypto.createHash('sha256').update(JSON.stringify([endpoint, normalized])).digest('hex');
+}
+
+function cacheFilePath(key) {
+  return path.join(CACHE_DIR, key.slice(0, 2), `${key}.json`);
+}
+
+// History-server requests (WebEnv) are only valid for a short session, so they use the esearch TTL
+function cacheTtl(endpoint, params) {
+  if (params && params.WebEnv) {
+    return CACHE_TTLS['esearch.fcgi'];
+  }
+  return CACHE_TTLS[endpoint] || HOUR_MS;
+}
+
+// Returns { data } on a hit, or null. Offline mode serves expired entries rather than nothing.
+async function readCachedResponse(endpoint, params) {
+  const filePath = cacheFilePath(cacheKey(endpoint, params));
+  
+  try {
+    const entry = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    if (!OFFLINE_MODE && Date.now() - entry.stored_at > cacheTtl(endpoint, params)) {
+      return null;
+    }
+    
+    // Touch the file so eviction removes the least recently used entries first
+    const now = new Date();
+    fs.promises.utimes(filePath, now, now).catch(() => {});
+    return { data: entry.data };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Ignoring unreadable cache entry ${filePath}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+let cacheWritesSinceSweep = CACHE_SWEEP_INTERVAL; // check the size on the first write of each run
+
+async function writeCachedResponse(endpoint, params, data) {
+  const filePath = cacheFilePath(cacheKey(endpoint, params));
+  
+  try {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await writeJsonAtomic(filePath, { endpoint, params, stored_at: Date.now(), data });
+    
+    cacheWritesSinceSweep += 1;
+    if (cacheWritesSinceSweep >= CACHE_SWEEP_INTERVAL) {
+      cacheWritesSinceSweep = 0;
+      await evictCacheEntries();
+    }
+  } catch (error) {
+    // A full or read-only disk must not break requests; the response is simply not cached
+    console.error(`Failed to write cache entry: ${error.message}`);
+  }
+}
+
+// Delete least recently used entries until the cache is back under 90% of its size limit
+async function evictCacheEntries() {
+  const entries = [];
+  
+  for (const shard of await fs.promises.readdir(CACHE_DIR).catch(() => [])) {
+    const shardPath = path.join(CACHE_DIR, shard);
+    for (const name of await fs.promises.readdir(shardPath).catch(() => [])) {
+      const filePath = path.join(shardPath, name);
+      const stat = await fs.promises.stat(filePath).catch(() => null);
+      if (stat && stat.isFile()) {
+        entries.push({ filePath, size: stat.size, mtime: stat.mtimeMs });
+      }
+    }
+  }
+  
+  let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+  if (total <= CACHE_MAX_BYTES) return;
+  
+  entries.sort((a, b) => a.mtime - b.mtime);
+  for (const entry of entries) {
+    if (total <= CACHE_MAX_BYTES * 0.9) break;
+    await fs.promises.unlink(entry.filePath).catch(() => {});
+    total -= entry.size;
+  }
+}
+
+// NCBI requests currently on the wire, so a shutdown can let them finish (and be cached)
+const inFlightNcbiRequests = new Set();
+
+// Wait for in-flight NCBI requests and pending history writes, giving up after timeoutMs
+async function drainInFlightRequests(timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  
+  // A tool call may start a follow-up request when the previous one settles, so loop until idle
+  while (inFlightNcbiRequests.size > 0 && Date.now() < deadline) {
+    await Promise.race([
+      Promise.allSettled([...inFlightNcbiRequests]),
+      new Promise(resolve => setTimeout(resolve, Math.max(deadline - Date.now(), 0)))
+    ]);
+  }
+  await Promise.race([storeQueue, new Promise(resolve => setTimeout(resolve, Math.max(deadline - Date.now(), 0)))]);
+  
+  return inFlightNcbiRequests.size === 0;
+}
+
 // Make NCBI API request
 async function makeNcbiRequest(endpoint, params) {
-  await rateLimitedRequest();
+  if (CACHE_ENABLED || OFFLINE_MODE) {
+    const cached = await readCachedResponse(endpoint, params);
+    if (cached) {
+      return cached.data;
+    }
+  }
   
+  if (OFFLINE_MODE) {
+    throw Object.assign(
+      new PubMedError(`Offline mode: no cached response for ${endpoint} (${JSON.stringify(params)}). Unset PUBMED_MCP_OFFLINE to fetch from NCBI.`),
+      { code: 'OFFLINE' }
+    );
+  }
+  
+  const pending = sendNcbiRequest(endpoint, params);
+  inFlightNcbiRequests.add(pending);
+  try {
+    return await pending;
+  } finally {
+    inFlightNcbiRequests.delete(pending);
+  }
+}
+
+// Send a request to NCBI, retrying rate-limit and transient failures
+async function sendNcbiRequest(endpoint, params) {
   const url = `${NCBI_API_BASE}${endpoint}`;
   const headers = { 'User-Agent': USER_AGENT };
+  const requestParams = { ...params, ...ncbiIdentityParams() };
   
-  try {
-    const response = await axios.get(url, {
-      params,
-      headers,
-      timeout: API_TIMEOUT
-    });
+  let rateLimitRetries = 0;
+  let transientRetries = 0;
+  
+  for (;;) {
+    await rateLimitedRequest();
     
-    return response.data;
-  } catch (error) {
-    if (error.code === 'ECONNABORTED') {
-      throw new PubMedError('Request timed out. Please try again.');
-    } else if (error.response) {
-      throw new PubMedError(`API request failed with status ${error.response.status}`);
-    } else {
-      throw new PubMedError(`Failed to fetch data from NCBI: ${error.message}`);
+    try {
+      const response = await axios.get(url, {
+        params: requestParams,
+        headers,
+        timeout: API_TIMEOUT
+      });
+      
+      if (isRateLimitBody(response.data)) {
+        throw Object.assign(new Error('API rate limit exceeded'), { response });
+      }
+      
+      noteRequestSucceeded();
+      // Error bodies are returned to the caller but never cached, so the next call asks NCBI again
+      if (CACHE_ENABLED && !isNcbiErrorBody(response.data)) {
+        await writeCachedResponse(endpoint, params, response.data);
+      }
+      
+      return response.data;
+    } catch (error) {
+      if (isRateLimited(error) && rateLimitRetries < MAX_RATE_LIMIT_RETRIES) {
+        noteRateLimited();
+        await new Promise(resolve => setTimeout(resolve, retryAfterDelay(error.response, rateLimitRetries)));
+        rateLimitRetries += 1;
+        continue;
+      }
+      if (!isRateLimited(error) && isTransientError(error) && transientRetries < MAX_TRANSIENT_RETRIES) {
+        await new Promise(resolve => setTimeout(resolve, transientRetryDelay(transientRetries)));
+        transientRetries += 1;
+        continue;
+      }
+      throw ncbiRequestError(error);
+    }
+  }
+}
+
+// Translate an axios failure into a PubMedError with a readable message; code and status are kept
+// so batch fetching can tell a bad request from an unreachable server
+function ncbiRequestError(error) {
+  let wrapped;
+  if (isRateLimited(error)) {
+    const hint = ncbiCredentials.api_key ? '' : ', or set NCBI_API_KEY for a higher limit';
+    wrapped = new PubMedError(`NCBI rate limit exceeded after several retries. Wait a moment and try again${hint}.`);
+  } else if (error.code === 'ECONNABORTED') {
+    wrapped = new PubMedError('Request timed out. Please try again.');
+  } else if (error.response) {
+    wrapped = new PubMedError(`API request failed with status ${error.response.status}`);
+  } else {
+    wrapped = new PubMedError(`Failed to fetch data from NCBI: ${error.message}`);
+  }
+  
+  return Object.assign(wrapped, {
+    code: isRateLimited(error) ? 'RATE_LIMITED' : error.code,
+    status: error.response ? error.response.status : undefined
+  });
+}
+
+// Text content of an xml2js node, whether it was parsed as a string or an object
+function getText(node) {
+  if (node === undefined || node === null) return '';
+  if (typeof node === 'string') return node;
+  return typeof node._ === 'string' ? node._ : '';
+}
+
+// CommentsCorrections types that affect how far an article can be trusted
+const INTEGRITY_REF_TYPES = {
+  RetractionIn: 'retracted',
+  RetractionAndReplacementIn: 'retracted',
+  ExpressionOfConcernIn: 'expression_of_concern',
+  ErratumIn: 'erratum',
+  RetractionOf: 'retraction_notice',
+  ExpressionOfConcernFor: 'concern_notice',
+  ErratumFor: 'erratum_notice'
+};
+
+// Publication types that mark the same states when no linked notice is indexed yet
+const INTEGRITY_PUBLICATION_TYPES = {
+  'Retracted Publication': 'retracted',
+  'Expression of Concern': 'concern_notice',
+  'Retraction of Publication': 'retraction_notice',
+  'Published Erratum': 'erratum_notice'
+};
+
+// Collect retraction, expression-of-concern and erratum notices for one article
+function integrityNotices(publicationTypes, commentsCorrections) {
+  const notices = commentsCorrections
+    .filter(item => INTEGRITY_REF_TYPES[item.ref_type])
+    .map(item => ({ type: INTEGRITY_REF_TYPES[item.ref_type], ref_type: item.ref_type, pmid: item.pmid, ref_source: item.ref_source }));
+  
+  for (const publicationType of publicationTypes) {
+    const type = INTEGRITY_PUBLICATION_TYPES[publicationType];
+    if (type && !notices.some(notice => notice.type === type)) {
+      notices.push({ type, ref_type: publicationType, pmid: '', ref_source: '' });
     }
   }
+  
+  return notices;
 }
 
 // Parse PubMed XML to extract article information
@@ -162,34 +857,75 @@ function parsePubMedXml(xmlContent) {
             articleData.abstract = 'No abstract available';
           }
           
-          // Extract authors
+          // Extract authors (with name parts and affiliations for citation export)
           const authorList = medlineCitation.Article?.[0]?.AuthorList?.[0]?.Author || [];
           const authors = [];
           for (const author of authorList) {
-            const lastName = author.LastName?.[0];
-            const foreName = author.ForeName?.[0];
-            if (lastName && foreName) {
-              authors.push(`${foreName} ${lastName}`);
-            } else if (lastName) {
-              authors.push(lastName);
+            const lastName = getText(author.LastName?.[0]);
+            const foreName = getText(author.ForeName?.[0]);
+            const collectiveName = getText(author.CollectiveName?.[0]);
+            const affiliations = (author.AffiliationInfo || [])
+              .map(info => getText(info.Affiliation?.[0]))
+              .filter(Boolean);
+            const orcidElem = (author.Identifier || []).find(id => id.$?.Source === 'ORCID');
+            const orcid = orcidElem ? getText(orcidElem).replace(/^https?:\/\/orcid\.org\//i, '') : '';
+            
+            if (lastName) {
+              authors.push({
+                name: foreName ? `${foreName} ${lastName}` : lastName,
+                last_name: lastName,
+                fore_name: foreName,
+                initials: getText(author.Initials?.[0]),
+                affiliations,
+                orcid
+              });
+            } else if (collectiveName) {
+              authors.push({ name: collectiveName, collective: true, affiliations, orcid });
             }
           }
-          articleData.authors = authors.map(name => ({ name }));
+          articleData.authors = authors;
           
           // Extract journal info
           const journal = medlineCitation.Article?.[0]?.Journal?.[0];
           if (journal?.Title?.[0]) {
-            articleData.fulljournalname = journal.Title[0];
+            articleData.fulljournalname = getText(journal.Title[0]);
+          }
+          if (journal?.ISOAbbreviation?.[0]) {
+            articleData.journal_abbrev = getText(journal.ISOAbbreviation[0]);
+          }
+          if (journal?.ISSN?.[0]) {
+            articleData.issn = getText(journal.ISSN[0]);
+          }
+          
+          const journalIssue = journal?.JournalIssue?.[0];
+          if (journalIssue?.Volume?.[0]) {
+            articleData.volume = getText(journalIssue.Volume[0]);
+          }
+          if (journalIssue?.Issue?.[0]) {
+            articleData.issue = getText(journalIssue.Issue[0]);
+          }
+          
+          // Extract pages, preferring the MEDLINE page string
+          const pagination = medlineCitation.Article?.[0]?.Pagination?.[0];
+          if (pagination) {
+            const medlinePgn = getText(pagination.MedlinePgn?.[0]);
+            const startPage = getText(pagination.StartPage?.[0]);
+            const endPage = getText(pagination.EndPage?.[0]);
+            articleData.pages = medlinePgn || [startPage, endPage].filter(Boolean).join('-');
           }
           
           // Extract publication date
-          const pubDate = journal?.JournalIssue?.[0]?.PubDate?.[0];
+          const pubDate = journalIssue?.PubDate?.[0];
           if (pubDate) {
-            const year = pubDate.Year?.[0];
-            const month = pubDate.Month?.[0];
-            const day = pubDate.Day?.[0];
+            const year = getText(pubDate.Year?.[0]);
+            const month = getText(pubDate.Month?.[0]);
+            const day = getText(pubDate.Day?.[0]);
+            const medlineDate = getText(pubDate.MedlineDate?.[0]);
             const dateParts = [year, month, day].filter(Boolean);
-            articleData.pubdate = dateParts.join(' ') || 'No date available';
+            articleData.pubdate = dateParts.join(' ') || medlineDate || 'No date available';
+            articleData.pub_year = year || (medlineDate.match(/\d{4}/) || [''])[0];
+            articleData.pub_month = month;
+            articleData.pub_day = day;
           }
           
           // Extract DOI and other IDs
@@ -206,16 +942,28 @@ function parsePubMedXml(xmlContent) {
             }
           }
           
-          // Extract MeSH terms
+          // Extract MeSH terms, keeping major-topic flags and qualifiers alongside the flat list
           const meshList = medlineCitation.MeshHeadingList?.[0]?.MeshHeading || [];
           const meshTerms = [];
+          const meshHeadings = [];
           for (const mesh of meshList) {
             const descriptorName = mesh.DescriptorName?.[0];
             if (descriptorName) {
-              meshTerms.push(typeof descriptorName === 'string' ? descriptorName : descriptorName._);
+              meshTerms.push(getText(descriptorName));
+              meshHeadings.push({
+                descriptor: getText(descriptorName),
+                ui: descriptorName.$?.UI || '',
+                major_topic: descriptorName.$?.MajorTopicYN === 'Y',
+                qualifiers: (mesh.QualifierName || []).map(qualifier => ({
+                  name: getText(qualifier),
+                  ui: qualifier.$?.UI || '',
+                  major_topic: qualifier.$?.MajorTopicYN === 'Y'
+                }))
+              });
             }
           }
           articleData.mesh_terms = meshTerms;
+          articleData.mesh_headings = meshHeadings;
           
           // Extract keywords
           const keywordList = medlineCitation.KeywordList?.[0]?.Keyword || [];
@@ -229,6 +977,56 @@ function parsePubMedXml(xmlContent) {
           }
           articleData.keywords = keywords;
           
+          // Funding sources
+          articleData.grants = (medlineCitation.Article?.[0]?.GrantList?.[0]?.Grant || []).map(grant => ({
+            grant_id: getText(grant.GrantID?.[0]),
+            acronym: getText(grant.Acronym?.[0]),
+            agency: getText(grant.Agency?.[0]),
+            country: getText(grant.Country?.[0])
+          }));
+          
+          articleData.publication_types = (medlineCitation.Article?.[0]?.PublicationTypeList?.[0]?.PublicationType || [])
+            .map(getText)
+            .filter(Boolean);
+          
+          // Retractions, errata, comments and other linked notices
+          articleData.comments_corrections = (medlineCitation.CommentsCorrectionsList?.[0]?.CommentsCorrections || []).map(item => ({
+            ref_type: item.$?.RefType || '',
+            ref_source: getText(item.RefSource?.[0]),
+            pmid: getText(item.PMID?.[0])
+          }));
+          
+          articleData.integrity_notices = integrityNotices(articleData.publication_types, articleData.comments_corrections);
+          articleData.retracted = articleData.integrity_notices.some(notice => notice.type === 'retracted');
+          
+          articleData.chemicals = (medlineCitation.ChemicalList?.[0]?.Chemical || []).map(chemical => ({
+            name: getText(chemical.NameOfSubstance?.[0]),
+            registry_number: getText(chemical.RegistryNumber?.[0]),
+            ui: chemical.NameOfSubstance?.[0]?.$?.UI || ''
+          }));
+          
+          // Trial registrations and data deposits (e.g. ClinicalTrials.gov NCT numbers)
+          articleData.databanks = (medlineCitation.Article?.[0]?.DataBankList?.[0]?.DataBank || []).map(bank => ({
+            name: getText(bank.DataBankName?.[0]),
+            accession_numbers: (bank.AccessionNumberList?.[0]?.AccessionNumber || []).map(getText).filter(Boolean)
+          }));
+          
+          // Electronic publication date as YYYY-MM-DD
+          const articleDate = medlineCitation.Article?.[0]?.ArticleDate?.[0];
+          if (articleDate) {
+            articleData.article_date = [articleDate.Year?.[0], articleDate.Month?.[0], articleDate.Day?.[0]]
+              .map(getText)
+              .filter(Boolean)
+              .map(part => part.padStart(2, '0'))
+              .join('-');
+          }
+          
+          // NLM journal abbreviation (no periods) used by Vancouver and AMA references
+          const medlineTa = getText(medlineCitation.MedlineJournalInfo?.[0]?.MedlineTA?.[0]);
+          if (medlineTa) {
+            articleData.medline_ta = medlineTa;
+          }
+          
           articles.push(articleData);
         }
       } catch (parseError) {
@@ -241,16 +1039,32 @@ function parsePubMedXml(xmlContent) {
   });
 }
 
-// Fetch detailed articles using efetch
-async function fetchDetailedArticles(pmidList) {
-  if (!pmidList || pmidList.length === 0) return [];
+// Only a rejected request (4xx) or a response that would not parse can be blamed on particular IDs.
+// Timeouts, 5xx, throttling and unreachable servers fail the same way for any subset of the chunk.
+function isIdSpecificError(error, responseReceived) {
+  if (responseReceived) return true;
+  return Boolean(error.status) && error.status >= 400 && error.status < 500 && error.code !== 'RATE_LIMITED';
+}
+
+// Fetch detailed articles using efetch. A chunk that NCBI rejects, or whose records cannot be parsed,
+// is split in half to isolate the IDs that break it; a chunk that fails for a transient reason after
+// makeNcbiRequest's retries is reported as is. What cannot be fetched is returned in failedChunks,
+// and requested PMIDs that NCBI simply did not return are listed in missingPmids.
+async function fetchArticleBatch(pmidList) {
+  if (!pmidList || pmidList.length === 0) return { articles: [], failedChunks: [], missingPmids: [] };
   
-  const chunkSize = 200;
   const allArticles = [];
   const failedChunks = [];
+  const pending = [];
+  let splits = 0;
   
-  for (let i = 0; i < pmidList.length; i += chunkSize) {
-    const chunk = pmidList.slice(i, i + chunkSize);
+  for (let i = 0; i < pmidList.length; i += EFETCH_CHUNK_SIZE) {
+    pending.push({ startIndex: i, pmids: pmidList.slice(i, i + EFETCH_CHUNK_SIZE) });
+  }
+  
+  while (pending.length > 0) {
+    const { startIndex, pmids: chunk } = pending.shift();
+    let responseReceived = false;
     
     try {
       const efetchParams = {
@@ -261,19 +1075,29 @@ async function fetchDetailedArticles(pmidList) {
       };
       
       const xmlContent = await makeNcbiRequest('efetch.fcgi', efetchParams);
+      responseReceived = true;
       const articles = await parsePubMedXml(xmlContent);
       allArticles.push(...articles);
     } catch (error) {
-      const chunkInfo = {
-        startIndex: i,
-        endIndex: i + chunk.length - 1,
+      if (chunk.length > 1 && splits < MAX_CHUNK_SPLITS && isIdSpecificError(error, responseReceived)) {
+        const half = Math.ceil(chunk.length / 2);
+        splits += 1;
+        pending.unshift(
+          { startIndex, pmids: chunk.slice(0, half) },
+          { startIndex: startIndex + half, pmids: chunk.slice(half) }
+        );
+        continue;
+      }
+      
+      failedChunks.push({
+        startIndex,
+        endIndex: startIndex + chunk.length - 1,
         pmids: chunk,
         error: error.message,
         errorType: error.constructor.name
-      };
-      failedChunks.push(chunkInfo);
+      });
       
-      console.error(`Error fetching chunk ${i}-${i + chunk.length}: ${error.message}`, {
+      console.error(`Error fetching chunk ${startIndex}-${startIndex + chunk.length}: ${error.message}`, {
         pmids: chunk.slice(0, 5), // Log first 5 PMIDs for debugging
         totalInChunk: chunk.length,
         errorType: error.constructor.name
@@ -283,21 +1107,200 @@ async function fetchDetailedArticles(pmidList) {
   
   // Log summary of failed chunks if any
   if (failedChunks.length > 0) {
-    console.warn(`Failed to fetch ${failedChunks.length} chunk(s) out of ${Math.ceil(pmidList.length / chunkSize)} total chunks. ${allArticles.length} articles successfully retrieved.`);
+    console.warn(`Failed to fetch ${failedChunks.length} chunk(s) for ${pmidList.length} PMIDs. ${allArticles.length} articles successfully retrieved.`);
   }
   
-  return allArticles;
+  const returned = new Set(allArticles.map(article => String(article.uid)));
+  const failed = new Set(failedChunks.flatMap(chunk => chunk.pmids.map(String)));
+  const missingPmids = [...new Set(pmidList.map(String))].filter(pmid => !returned.has(pmid) && !failed.has(pmid));
+  
+  return { articles: allArticles, failedChunks, missingPmids };
 }
 
-// Extract and normalize article information
-function extractEnhancedArticleInfo(article) {
-  const title = article.title || 'No title available';
+// Fetch detailed articles using efetch; fails loudly when nothing at all could be downloaded
+async function fetchDetailedArticles(pmidList) {
+  const { articles, failedChunks } = await fetchArticleBatch(pmidList);
+  if (articles.length === 0 && failedChunks.length > 0) {
+    throw new PubMedError(`Failed to download article records: ${failedChunks[0].error}`);
+  }
+  return articles;
+}
+
+// Markdown warning for records that could not be downloaded or were not returned by NCBI
+function formatFetchProblems(batch) {
+  const failedPmids = batch.failedChunks.flatMap(chunk => chunk.pmids);
+  let notes = '';
   
-  // Format authors
-  const authors = article.authors || [];
-  const authorNames = authors.map(author => 
-    typeof author === 'object' ? author.name : author
-  ).join(', ') || 'No authors listed';
+  if (failedPmids.length > 0) {
+    const errors = [...new Set(batch.failedChunks.map(chunk => chunk.error))];
+    notes += `⚠️ **${failedPmids.length} record${failedPmids.length !== 1 ? 's' : ''} could not be downloaded** (${errors.join('; ')}): ${failedPmids.slice(0, 20).join(', ')}${failedPmids.length > 20 ? ', ...' : ''}\n`;
+  }
+  if (batch.missingPmids.length > 0) {
+    notes += `⚠️ **Not returned by PubMed:** ${batch.missingPmids.slice(0, 20).join(', ')}${batch.missingPmids.length > 20 ? ', ...' : ''}\n`;
+  }
+  
+  return notes;
+}
+
+function fetchProblemsToJson(batch) {
+  return {
+    failed_chunks: batch.failedChunks.map(chunk => ({ pmids: chunk.pmids, error: chunk.error })),
+    missing_pmids: batch.missingPmids
+  };
+}
+
+// Cursor tokens carry the history server handles so the next page comes from the same result set
+function encodeSearchCursor(state) {
+  return Buffer.from(JSON.stringify(state), 'utf8').toString('base64');
+}
+
+function decodeSearchCursor(token) {
+  try {
+    const state = JSON.parse(Buffer.from(String(token), 'base64').toString('utf8'));
+    if (state && typeof state.query === 'string' && Number.isInteger(state.offset)) {
+      return state;
+    }
+  } catch (error) {
+    // Fall through to the error below
+  }
+  throw new PubMedError('Invalid or corrupted cursor. Run the search again to get a new cursor.');
+}
+
+// Validate a sort key against what esearch supports for the given database
+function resolveSortOrder(sort, db) {
+  const key = sort ? String(sort).trim().toLowerCase() : DEFAULT_SORT;
+  const order = SORT_ORDERS[key];
+  
+  if (!order) {
+    throw new PubMedError(`Invalid sort: "${sort}". Use one of: ${Object.keys(SORT_ORDERS).join(', ')}.`);
+  }
+  
+  if (!order[db]) {
+    const supported = Object.keys(SORT_ORDERS).filter(name => SORT_ORDERS[name][db]);
+    throw new PubMedError(`Sort "${key}" is not supported for ${db === 'pmc' ? 'PMC' : 'PubMed'}. Use one of: ${supported.join(', ')}.`);
+  }
+  
+  return { key, value: order[db], label: order.label };
+}
+
+// Normalize YYYY, YYYY/MM or YYYY/MM/DD (slashes, dashes or dots) to Entrez date format
+function normalizeEntrezDate(value, name) {
+  const match = String(value).trim().match(/^(\d{4})(?:[/.-](\d{1,2}))?(?:[/.-](\d{1,2}))?$/);
+  if (!match) {
+    throw new PubMedError(`Invalid ${name}: "${value}". Use YYYY, YYYY/MM or YYYY/MM/DD.`);
+  }
+  
+  const [, year, month, day] = match;
+  if ((month && (Number(month) < 1 || Number(month) > 12)) || (day && (Number(day) < 1 || Number(day) > 31))) {
+    throw new PubMedError(`Invalid ${name}: "${value}". Month or day is out of range.`);
+  }
+  
+  return [year, month && month.padStart(2, '0'), day && day.padStart(2, '0')].filter(Boolean).join('/');
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : [value]).map(item => String(item).trim()).filter(Boolean);
+}
+
+// Double quotes would end the Entrez phrase early, so strip them from field values
+function quoteEntrezValue(value) {
+  return `"${String(value).replace(/"/g, '').trim()}"`;
+}
+
+// PubMed [pt] value for a friendly key (rct) or a full type name, or null if unknown
+function publicationTypeName(type) {
+  const key = type.toLowerCase().replace(/[\s-]+/g, '_');
+  return PUBLICATION_TYPE_FILTERS[key] ||
+    Object.values(PUBLICATION_TYPE_FILTERS).find(name => name.toLowerCase() === type.toLowerCase()) ||
+    null;
+}
+
+// Compile the free-text query and structured filters into a single Entrez term
+function buildSearchTerm(query, filters = {}) {
+  const clauses = [];
+  
+  if (query) {
+    clauses.push(query);
+  }
+  
+  const { min_date, max_date, date_type = 'publication' } = filters;
+  if (min_date || max_date) {
+    const field = DATE_TYPE_FIELDS[date_type];
+    if (!field) {
+      throw new PubMedError(`Invalid date_type: "${date_type}". Use one of: ${Object.keys(DATE_TYPE_FIELDS).join(', ')}.`);
+    }
+    const from = min_date ? normalizeEntrezDate(min_date, 'min_date') : '1800';
+    const to = max_date ? normalizeEntrezDate(max_date, 'max_date') : '3000';
+    clauses.push(`("${from}"[${field}] : "${to}"[${field}])`);
+  }
+  
+  const publicationTypes = toList(filters.publication_types).map(type => {
+    const known = publicationTypeName(type);
+    if (!known) {
+      throw new PubMedError(`Unknown publication type: "${type}". Use one of: ${Object.keys(PUBLICATION_TYPE_FILTERS).join(', ')}.`);
+    }
+    return `"${known}"[pt]`;
+  });
+  if (publicationTypes.length > 0) {
+    clauses.push(`(${[...new Set(publicationTypes)].join(' OR ')})`);
+  }
+  
+  const languages = toList(filters.languages).map(language => {
+    const name = LANGUAGE_CODES[language.toLowerCase()] || language.toLowerCase();
+    if (!/^[a-z]+$/.test(name)) {
+      throw new PubMedError(`Invalid language: "${language}". Use a language name such as "english" or a two-letter code such as "en".`);
+    }
+    return `${name}[la]`;
+  });
+  if (languages.length > 0) {
+    clauses.push(`(${[...new Set(languages)].join(' OR ')})`);
+  }
+  
+  if (filters.humans_only) {
+    clauses.push('humans[mh]');
+  }
+  
+  if (filters.free_full_text) {
+    clauses.push('free full text[sb]');
+  }
+  
+  if (filters.has_abstract) {
+    clauses.push('hasabstract');
+  }
+  
+  if (filters.journal) {
+    clauses.push(`${quoteEntrezValue(filters.journal)}[journal]`);
+  }
+  
+  if (filters.author) {
+    clauses.push(`${quoteEntrezValue(filters.author)}[au]`);
+  }
+  
+  if (clauses.length === 0 || (clauses.length === 1 && !filters.exclude_retracted)) {
+    return clauses[0] || '';
+  }
+  
+  const term = clauses.map((clause, index) => (index === 0 && query ? `(${clause})` : clause)).join(' AND ');
+  
+  // NOT binds like AND in Entrez, so the positive clauses are grouped first
+  if (filters.exclude_retracted) {
+    const positive = clauses.length > 1 ? `(${term})` : term;
+    return `${positive} NOT "retracted publication"[pt]`;
+  }
+  
+  return term;
+}
+
+// Extract and normalize article information
+function extractEnhancedArticleInfo(article) {
+  const title = article.title || 'No title available';
+  
+  // Format authors
+  const authors = article.authors || [];
+  const authorNames = authors.map(author => 
+    typeof author === 'object' ? author.name : author
+  ).join(', ') || 'No authors listed';
   
   const pubDate = article.pubdate || 'No date available';
   const journal = article.fulljournalname || article.source || 'Unknown journal';
@@ -315,9 +1318,12 @@ function extractEnhancedArticleInfo(article) {
     ? article.keywords.join(', ') 
     : String(article.keywords || '');
     
-  const meshTerms = Array.isArray(article.mesh_terms) 
-    ? article.mesh_terms.join(', ') 
-    : String(article.mesh_terms || '');
+  // Show qualifiers as "Descriptor/qualifier" when the full headings are available
+  const meshTerms = Array.isArray(article.mesh_headings) && article.mesh_headings.length > 0
+    ? article.mesh_headings.map(heading => [heading.descriptor, ...heading.qualifiers.map(qualifier => qualifier.name)].join('/')).join(', ')
+    : Array.isArray(article.mesh_terms)
+      ? article.mesh_terms.join(', ')
+      : String(article.mesh_terms || '');
   
   const pmcAvailable = Boolean(pmcid) || article.pmc_available || false;
   const isOpenAccess = article.is_pmc || pmcAvailable;
@@ -334,12 +1340,196 @@ function extractEnhancedArticleInfo(article) {
     keywords,
     mesh_terms: meshTerms,
     is_open_access: isOpenAccess,
-    pmc_available: pmcAvailable
+    pmc_available: pmcAvailable,
+    journal_abbrev: article.journal_abbrev || '',
+    volume: article.volume || '',
+    issue: article.issue || '',
+    pages: article.pages || '',
+    issn: article.issn || '',
+    article_date: article.article_date || '',
+    author_details: authors
+      .filter(author => typeof author === 'object')
+      .map(author => ({ name: author.name, orcid: author.orcid || '', affiliations: author.affiliations || [] })),
+    grants: article.grants || [],
+    publication_types: article.publication_types || [],
+    comments_corrections: article.comments_corrections || [],
+    chemicals: article.chemicals || [],
+    databanks: article.databanks || [],
+    retracted: isRetracted(article),
+    integrity_notices: article.integrity_notices || [],
+    mesh_headings: article.mesh_headings || [],
+    major_topics: majorTopics(article.mesh_headings || [])
+  };
+}
+
+// Descriptors that are a major topic of the article, either directly or through a qualifier
+function majorTopics(meshHeadings) {
+  return meshHeadings
+    .filter(heading => heading.major_topic || heading.qualifiers.some(qualifier => qualifier.major_topic))
+    .map(heading => heading.descriptor);
+}
+
+// MEDLINE notation: "*" marks a major topic, qualifiers follow the descriptor after "/"
+function medlineMeshHeading(heading) {
+  return `${heading.major_topic ? '*' : ''}${heading.descriptor}` +
+    heading.qualifiers.map(qualifier => `/${qualifier.major_topic ? '*' : ''}${qualifier.name}`).join('');
+}
+
+// esummary records (PMC searches) only carry publication types, so fall back to those
+function isRetracted(article) {
+  if (typeof article.retracted === 'boolean') {
+    return article.retracted;
+  }
+  return (article.pubtype || []).includes('Retracted Publication');
+}
+
+const INTEGRITY_WARNINGS = {
+  retracted: '🚫 **RETRACTED ARTICLE** - do not rely on its findings',
+  expression_of_concern: '⚠️ **EXPRESSION OF CONCERN** - the journal has raised concerns about this article',
+  erratum: '📝 **Erratum published** - check the correction before citing',
+  retraction_notice: 'ℹ️ **This record is a retraction notice**',
+  concern_notice: 'ℹ️ **This record is an expression of concern**',
+  erratum_notice: 'ℹ️ **This record is an erratum**'
+};
+
+// Prominent warning lines for retracted, corrected or questioned articles
+function formatIntegrityWarnings(info) {
+  const notices = [...(info.integrity_notices || [])];
+  if (notices.length === 0 && info.retracted) {
+    notices.push({ type: 'retracted', pmid: '', ref_source: '' });
+  }
+  
+  return notices.map(notice => {
+    const forNotice = notice.type.endsWith('_notice');
+    const link = notice.pmid
+      ? ` (${forNotice ? 'concerns' : 'notice'} PMID: ${notice.pmid}${notice.ref_source ? `, ${notice.ref_source}` : ''})`
+      : (notice.ref_source ? ` (${notice.ref_source})` : '');
+    return `${INTEGRITY_WARNINGS[notice.type]}${link}`;
+  }).join('\n');
+}
+
+// Validate a list of detail section names ("all" selects every section)
+function resolveDetailSections(details) {
+  const requested = toList(details).map(section => String(section).trim().toLowerCase());
+  if (requested.includes('all')) {
+    return DETAIL_SECTIONS.slice();
+  }
+  
+  const unknown = requested.filter(section => !DETAIL_SECTIONS.includes(section));
+  if (unknown.length > 0) {
+    throw new PubMedError(`Unknown detail section: ${unknown.join(', ')}. Use "all" or any of: ${DETAIL_SECTIONS.join(', ')}.`);
+  }
+  return requested;
+}
+
+// Render the requested optional sections of a normalized record
+function formatRecordDetails(info, sections) {
+  const lines = [];
+  
+  if (sections.includes('article_date') && info.article_date) {
+    lines.push(`**Published Online:** ${info.article_date}`);
+  }
+  
+  if (sections.includes('publication_types') && info.publication_types && info.publication_types.length > 0) {
+    lines.push(`**Publication Types:** ${info.publication_types.join(', ')}`);
+  }
+  
+  const authorDetails = (info.author_details || []).filter(author => author.orcid || author.affiliations.length > 0);
+  if (sections.includes('affiliations') && authorDetails.length > 0) {
+    lines.push('**Affiliations:**');
+    for (const author of authorDetails) {
+      const orcid = author.orcid ? ` (ORCID: https://orcid.org/${author.orcid})` : '';
+      const affiliations = author.affiliations.length > 0 ? ` - ${author.affiliations.join('; ')}` : '';
+      lines.push(`- ${author.name}${orcid}${affiliations}`);
+    }
+  }
+  
+  if (sections.includes('grants') && info.grants && info.grants.length > 0) {
+    lines.push('**Funding:**');
+    for (const grant of info.grants) {
+      const agency = [grant.agency, grant.country].filter(Boolean).join(', ') || 'Unknown agency';
+      lines.push(`- ${agency}${grant.grant_id ? `: ${grant.grant_id}` : ''}`);
+    }
+  }
+  
+  if (sections.includes('databanks') && info.databanks && info.databanks.length > 0) {
+    lines.push('**Trial Registrations & Data:**');
+    for (const bank of info.databanks) {
+      lines.push(`- ${bank.name || 'Data bank'}: ${bank.accession_numbers.join(', ') || 'no accession numbers'}`);
+    }
+  }
+  
+  if (sections.includes('chemicals') && info.chemicals && info.chemicals.length > 0) {
+    const chemicals = info.chemicals.map(chemical => (
+      chemical.registry_number && chemical.registry_number !== '0'
+        ? `${chemical.name} (${chemical.registry_number})`
+        : chemical.name
+    ));
+    lines.push(`**Chemicals:** ${chemicals.join(', ')}`);
+  }
+  
+  if (sections.includes('comments_corrections') && info.comments_corrections && info.comments_corrections.length > 0) {
+    lines.push('**Comments & Corrections:**');
+    for (const item of info.comments_corrections) {
+      lines.push(`- ${item.ref_type}: ${item.ref_source}${item.pmid ? ` (PMID: ${item.pmid})` : ''}`);
+    }
+  }
+  
+  return lines.length > 0 ? '\n' + lines.join('\n') : '';
+}
+
+// Normalized record for JSON output: lists stay arrays instead of comma-joined strings
+function extractStructuredArticleInfo(article) {
+  const info = extractEnhancedArticleInfo(article);
+  const asList = value => (Array.isArray(value) ? value : toList(value && String(value).split(',')));
+  
+  return {
+    ...info,
+    authors: (article.authors || [])
+      .map(author => (typeof author === 'object' ? author.name : author))
+      .filter(Boolean),
+    keywords: asList(article.keywords),
+    mesh_terms: asList(article.mesh_terms)
+  };
+}
+
+function resolveOutputFormat(format) {
+  const value = format ? String(format).trim().toLowerCase() : 'markdown';
+  if (!OUTPUT_FORMATS.includes(value)) {
+    throw new PubMedError(`Invalid format: "${format}". Use one of: ${OUTPUT_FORMATS.join(', ')}.`);
+  }
+  return value;
+}
+
+function textResult(text) {
+  return {
+    content: [{ type: 'text', text }]
   };
 }
 
-// Format article for display
-function formatEnhancedArticle(article, isDbArticle = false) {
+function jsonResult(data) {
+  return textResult(JSON.stringify(data, null, 2));
+}
+
+// A failed tool call: a JSON { error } object or a "❌ ..." message, flagged with isError for clients
+function failureResult(message, format) {
+  const result = format === 'json' ? jsonResult({ error: message }) : textResult(`❌ ${message}`);
+  return { ...result, isError: true };
+}
+
+// Report a handler failure in the caller's requested format
+function errorResult(error, format, source = 'PubMed') {
+  if (format === 'json') {
+    return failureResult(error.message, format);
+  }
+  
+  return failureResult(error instanceof PubMedError 
+    ? `${source} Error: ${error.message}`
+    : `An unexpected error occurred: ${error.message}`);
+}
+
+// Format article for display; detailSections adds optional parts of the full record
+function formatEnhancedArticle(article, isDbArticle = false, detailSections = []) {
   const articleInfo = isDbArticle ? article : extractEnhancedArticleInfo(article);
   
   const {
@@ -359,9 +1549,10 @@ function formatEnhancedArticle(article, isDbArticle = false) {
   
   // Truncate abstract if too long
   const displayAbstract = abstract.length > 800 ? abstract.substring(0, 800) + '...' : abstract;
+  const warnings = formatIntegrityWarnings(articleInfo);
   
   let result = `
-**Title:** ${title}
+${warnings ? warnings + '\n' : ''}**Title:** ${title}
 **Authors:** ${authors}
 **Journal:** ${journal} (${pub_date})
 **PMID:** ${pmid}${pmcid ? ` | **PMCID:** ${pmcid}` : ''}${doi ? ` | **DOI:** ${doi}` : ''}
@@ -385,440 +1576,4268 @@ function formatEnhancedArticle(article, isDbArticle = false) {
     result += `\n**MeSH Terms:** ${mesh_terms}`;
   }
   
+  if (articleInfo.major_topics && articleInfo.major_topics.length > 0) {
+    result += `\n**Major Topics:** ${articleInfo.major_topics.join(', ')}`;
+  }
+  
+  result += formatRecordDetails(articleInfo, detailSections);
+  
   return result + '\n---';
 }
 
-// Create and configure the MCP server
-const server = new Server(
-  {
-    name: 'enhanced-pubmed-mcp-server-node',
-    version: '1.0.0',
-  },
-  {
-    capabilities: {
-      tools: {},
-    },
-  }
-);
+// Citation export
+const MONTH_NUMBERS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
 
-// List available tools
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  return {
-    tools: [
-      {
-        name: 'search_pubmed',
-        description: 'Enhanced PubMed search with complete abstract retrieval and PMC integration',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            query: {
-              type: 'string',
-              description: 'Search query to match against papers'
-            },
-            max_results: {
-              type: 'number',
-              description: 'Maximum number of results (default: 10, max: 500)',
-              default: DEFAULT_MAX_RESULTS
-            }
-          },
-          required: ['query']
-        }
-      },
-      {
-        name: 'get_full_abstract',
-        description: 'Get the complete abstract for a specific PMID',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            pmid: {
-              type: ['string', 'number'],
-              description: 'PubMed ID of the article'
-            }
-          },
-          required: ['pmid']
-        }
-      },
-      {
-        name: 'search_pmc_fulltext',
-        description: 'Search PubMed Central (PMC) for full-text open access articles',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            query: {
-              type: 'string',
-              description: 'Search query for full-text search'
-            },
-            max_results: {
-              type: 'number',
-              description: 'Maximum number of results (default: 10, max: 50)',
-              default: DEFAULT_MAX_RESULTS
-            }
-          },
-          required: ['query']
-        }
-      },
-      {
-        name: 'retrieve_pubmed_results',
-        description: 'Retrieve previously stored PubMed search results with pagination',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            search_id: {
-              type: 'number',
-              description: 'ID of the stored search to retrieve'
-            },
-            page: {
-              type: 'number',
-              description: 'Page number to retrieve (starts at 1)',
-              default: 1
-            },
-            results_per_page: {
-              type: 'number',
-              description: 'Number of results per page (default: 10, max: 50)',
-              default: DEFAULT_MAX_RESULTS
-            }
-          },
-          required: ['search_id']
-        }
-      },
-      {
-        name: 'list_pubmed_searches',
-        description: 'List all previously stored PubMed and PMC searches',
-        inputSchema: {
-          type: 'object',
-          properties: {},
-          required: []
-        }
-      },
-      {
-        name: 'get_abstract_help',
-        description: 'Get help and examples for using the get_full_abstract function',
-        inputSchema: {
-          type: 'object',
-          properties: {},
-          required: []
-        }
-      }
-    ]
-  };
-});
+function monthNumber(month) {
+  if (!month) return null;
+  if (/^\d{1,2}$/.test(month)) return Number(month);
+  return MONTH_NUMBERS[String(month).slice(0, 3).toLowerCase()] || null;
+}
 
-// Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
+function articleDoi(article) {
+  const doi = article.elocationid || '';
+  return doi.startsWith('doi:') ? doi.substring(4) : doi;
+}
 
-  try {
-    switch (name) {
-      case 'search_pubmed':
-        return await handleSearchPubmed(args.query, args.max_results);
-      case 'get_full_abstract':
-        return await handleGetFullAbstract(args.pmid);
-      case 'search_pmc_fulltext':
-        return await handleSearchPmcFulltext(args.query, args.max_results);
-      case 'retrieve_pubmed_results':
-        return await handleRetrievePubmedResults(args.search_id, args.page, args.results_per_page);
-      case 'list_pubmed_searches':
-        return await handleListPubmedSearches();
-      case 'get_abstract_help':
-        return await handleGetAbstractHelp();
-      default:
-        throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
-    }
-  } catch (error) {
-    if (error instanceof McpError) {
-      throw error;
-    }
-    throw new McpError(ErrorCode.InternalError, `Tool execution failed: ${error.message}`);
+// Split a page range such as "100-10" into full start and end pages
+function splitPages(pages) {
+  const [start = '', end = ''] = String(pages || '').split('-').map(part => part.trim());
+  if (start && end && /^\d+$/.test(start) && /^\d+$/.test(end) && end.length < start.length) {
+    return [start, start.slice(0, start.length - end.length) + end];
   }
-});
+  return [start, end];
+}
+
+function authorObjects(article) {
+  return (article.authors || []).map(author => (typeof author === 'object' ? author : { name: author }));
+}
+
+// "Last, First" for reference managers; collective names stay whole
+function authorSortName(author) {
+  if (author.collective || !author.last_name) return author.name;
+  return author.fore_name ? `${author.last_name}, ${author.fore_name}` : author.last_name;
+}
+
+function toAscii(text) {
+  return String(text || '').normalize('NFKD').replace(/[^A-Za-z0-9]/g, '');
+}
+
+// Keys look like Doudna2022Crispr; clashes get a/b/c suffixes assigned in PMID order so they stay stable
+function assignCitationKeys(articles) {
+  const baseKeys = articles.map(article => {
+    const firstAuthor = authorObjects(article)[0];
+    const authorPart = toAscii(firstAuthor && (firstAuthor.last_name || firstAuthor.name)) || 'Anon';
+    const titleWord = (String(article.title || '').match(/[A-Za-z]{4,}/) || [''])[0];
+    const titlePart = titleWord ? titleWord[0].toUpperCase() + titleWord.slice(1).toLowerCase() : '';
+    return `${authorPart}${article.pub_year || 'nd'}${titlePart}`;
+  });
+  
+  const groups = new Map();
+  baseKeys.forEach((key, index) => {
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(index);
+  });
+  
+  // A suffixed key must not collide with another article's base key (Smith2020Genea) or an earlier suffix
+  const issued = new Set(baseKeys);
+  const keys = [...baseKeys];
+  for (const [key, indexes] of groups) {
+    if (indexes.length < 2) continue;
+    const ordered = [...indexes].sort((a, b) => Number(articles[a].uid) - Number(articles[b].uid));
+    let next = 0;
+    ordered.forEach(index => {
+      let candidate;
+      do {
+        let suffix = '';
+        let n = next++;
+        do {
+          suffix = String.fromCharCode(97 + (n % 26)) + suffix;
+          n = Math.floor(n / 26) - 1;
+        } while (n >= 0);
+        candidate = `${key}${suffix}`;
+      } while (issued.has(candidate));
+      issued.add(candidate);
+      keys[index] = candidate;
+    });
+  }
+  
+  return keys;
+}
+
+const BIBTEX_ESCAPES = {
+  '\\': '\\textbackslash{}',
+  '~': '\\textasciitilde{}',
+  '^': '\\textasciicircum{}'
+};
+
+function escapeBibtex(text) {
+  return String(text || '').replace(/[&%$#_{}\\~^]/g, char => BIBTEX_ESCAPES[char] || `\\${char}`);
+}
+
+// Brace each word with a capital letter (CRISPR, Cas9, Alzheimer's) so BibTeX styles cannot lowercase it
+function escapeBibtexTitle(title) {
+  return String(title || '')
+    .split(/(\s+)/)
+    .map(word => (/[A-Z]/.test(word) ? `{${escapeBibtex(word)}}` : escapeBibtex(word)))
+    .join('');
+}
+
+function escapeXml(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatBibtex(articles, keys, options) {
+  return articles.map((article, index) => {
+    const fields = [
+      ['title', article.title],
+      ['journal', article.fulljournalname],
+      ['year', article.pub_year],
+      ['month', article.pub_month && article.pub_month.toLowerCase().slice(0, 3)],
+      ['volume', article.volume],
+      ['number', article.issue],
+      ['pages', article.pages && article.pages.replace('-', '--')],
+      ['issn', article.issn],
+      ['doi', articleDoi(article)],
+      ['pmid', article.uid],
+      ['pmcid', article.pmcid],
+      ['abstract', options.includeAbstract && article.abstract !== 'No abstract available' ? article.abstract : '']
+    ].filter(([, value]) => value);
+    
+    const body = fields.map(([name, value]) => `  ${name} = {${name === 'title' ? escapeBibtexTitle(value) : escapeBibtex(value)}}`);
+    // Names are escaped one by one so the braces around collective names survive
+    const authors = authorObjects(article)
+      .map(author => (author.collective ? `{${escapeBibtex(author.name)}}` : escapeBibtex(authorSortName(author))))
+      .join(' and ');
+    if (authors) body.unshift(`  author = {${authors}}`);
+    return `@article{${keys[index]},\n${body.join(',\n')}\n}`;
+  }).join('\n\n') + '\n';
+}
+
+function formatRis(articles, keys, options) {
+  return articles.map((article, index) => {
+    const [startPage, endPage] = splitPages(article.pages);
+    const lines = [['TY', 'JOUR'], ['ID', keys[index]]];
+    
+    for (const author of authorObjects(article)) {
+      lines.push(['AU', authorSortName(author)]);
+    }
+    lines.push(
+      ['TI', article.title],
+      ['T2', article.fulljournalname],
+      ['J2', article.journal_abbrev],
+      ['PY', article.pub_year],
+      ['VL', article.volume],
+      ['IS', article.issue],
+      ['SP', startPage],
+      ['EP', endPage],
+      ['SN', article.issn],
+      ['DO', articleDoi(article)],
+      ['AN', article.uid && `PMID:${article.uid}`],
+      ['UR', article.uid && `https://pubmed.ncbi.nlm.nih.gov/${article.uid}/`]
+    );
+    if (options.includeAbstract && article.abstract !== 'No abstract available') {
+      lines.push(['AB', article.abstract]);
+    }
+    for (const keyword of [...(article.keywords || []), ...(article.mesh_terms || [])]) {
+      lines.push(['KW', keyword]);
+    }
+    for (const affiliation of new Set(authorObjects(article).flatMap(author => author.affiliations || []))) {
+      lines.push(['AD', affiliation]);
+    }
+    
+    return lines
+      .filter(([, value]) => value)
+      .map(([tag, value]) => `${tag}  - ${value}`)
+      .concat('ER  - ')
+      .join('\n');
+  }).join('\n\n') + '\n';
+}
+
+function toCslJson(article, key, options) {
+  const dateParts = [Number(article.pub_year), monthNumber(article.pub_month), Number(article.pub_day) || null]
+    .filter((part, index, parts) => part && parts.slice(0, index).every(Boolean));
+  
+  const item = {
+    id: key,
+    type: 'article-journal',
+    title: article.title,
+    author: authorObjects(article).map(author => (author.collective || !author.last_name
+      ? { literal: author.name }
+      : { family: author.last_name, given: author.fore_name || undefined })),
+    'container-title': article.fulljournalname,
+    'container-title-short': article.journal_abbrev || undefined,
+    issued: dateParts.length > 0 ? { 'date-parts': [dateParts] } : undefined,
+    volume: article.volume || undefined,
+    issue: article.issue || undefined,
+    page: article.pages || undefined,
+    ISSN: article.issn || undefined,
+    DOI: articleDoi(article) || undefined,
+    PMID: article.uid ? String(article.uid) : undefined,
+    PMCID: article.pmcid || undefined,
+    URL: article.uid ? `https://pubmed.ncbi.nlm.nih.gov/${article.uid}/` : undefined,
+    abstract: options.includeAbstract && article.abstract !== 'No abstract available' ? article.abstract : undefined
+  };
+  
+  return JSON.parse(JSON.stringify(item));
+}
+
+function formatEndnoteXml(articles, keys, options) {
+  const tag = (name, value) => (value ? `<${name}>${escapeXml(value)}</${name}>` : '');
+  
+  const records = articles.map((article, index) => {
+    const authors = authorObjects(article).map(author => tag('author', authorSortName(author))).join('');
+    const affiliations = [...new Set(authorObjects(article).flatMap(author => author.affiliations || []))].join('\n');
+    const keywords = [...(article.keywords || []), ...(article.mesh_terms || [])].map(keyword => tag('keyword', keyword)).join('');
+    
+    return [
+      '<record>',
+      '<ref-type name="Journal Article">17</ref-type>',
+      tag('label', keys[index]),
+      `<contributors><authors>${authors}</authors></contributors>`,
+      tag('auth-address', affiliations),
+      `<titles>${tag('title', article.title)}${tag('secondary-title', article.fulljournalname)}${tag('alt-title', article.journal_abbrev)}</titles>`,
+      `<periodical>${tag('full-title', article.fulljournalname)}${tag('abbr-1', article.journal_abbrev)}</periodical>`,
+      tag('pages', article.pages),
+      tag('volume', article.volume),
+      tag('number', article.issue),
+      keywords ? `<keywords>${keywords}</keywords>` : '',
+      `<dates>${tag('year', article.pub_year)}</dates>`,
+      tag('isbn', article.issn),
+      tag('accession-num', article.uid),
+      tag('electronic-resource-num', articleDoi(article)),
+      options.includeAbstract && article.abstract !== 'No abstract available' ? tag('abstract', article.abstract) : '',
+      article.uid ? `<urls><related-urls>${tag('url', `https://pubmed.ncbi.nlm.nih.gov/${article.uid}/`)}</related-urls></urls>` : '',
+      '</record>'
+    ].filter(Boolean).join('');
+  });
+  
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<xml><records>\n${records.join('\n')}\n</records></xml>\n`;
+}
+
+// MEDLINE lines wrap at 88 characters with a six-space continuation indent
+function medlineLine(tag, value) {
+  const prefix = `${tag.padEnd(4)}- `;
+  const words = String(value).split(/\s+/).filter(Boolean);
+  const lines = [];
+  let current = prefix;
+  
+  for (const word of words) {
+    if (current.length + word.length + 1 > 88 && current.trim().length > prefix.trim().length) {
+      lines.push(current.trimEnd());
+      current = '      ';
+    }
+    current += (current.endsWith(' ') ? '' : ' ') + word;
+  }
+  lines.push(current.trimEnd());
+  
+  return lines.join('\n');
+}
+
+function formatMedline(articles) {
+  return articles.map(article => {
+    const lines = [];
+    const add = (tag, value) => {
+      if (value) lines.push(medlineLine(tag, value));
+    };
+    
+    add('PMID', article.uid);
+    add('IS', article.issn);
+    add('VI', article.volume);
+    add('IP', article.issue);
+    add('DP', article.pubdate !== 'No date available' ? article.pubdate : article.pub_year);
+    add('TI', article.title);
+    add('PG', article.pages);
+    if (articleDoi(article)) add('LID', `${articleDoi(article)} [doi]`);
+    if (article.abstract && article.abstract !== 'No abstract available') add('AB', article.abstract);
+    
+    for (const author of authorObjects(article)) {
+      if (author.collective) {
+        add('CN', author.name);
+      } else {
+        add('FAU', authorSortName(author));
+        add('AU', author.initials ? `${author.last_name} ${author.initials}` : author.name);
+      }
+      for (const affiliation of author.affiliations || []) {
+        add('AD', affiliation);
+      }
+    }
+    
+    add('TA', article.journal_abbrev);
+    add('JT', article.fulljournalname);
+    if (article.mesh_headings) {
+      for (const heading of article.mesh_headings) add('MH', medlineMeshHeading(heading));
+    } else {
+      for (const term of article.mesh_terms || []) add('MH', term);
+    }
+    for (const keyword of article.keywords || []) add('OT', keyword);
+    add('PMC', article.pmcid);
+    if (articleDoi(article)) add('AID', `${articleDoi(article)} [doi]`);
+    
+    const source = [
+      article.journal_abbrev || article.fulljournalname,
+      `${article.pub_year || ''}${article.volume ? `;${article.volume}` : ''}${article.issue ? `(${article.issue})` : ''}${article.pages ? `:${article.pages}` : ''}`
+    ].filter(Boolean).join('. ');
+    add('SO', `${source}.`);
+    
+    return lines.join('\n');
+  }).join('\n\n') + '\n';
+}
+
+const CITATION_FORMATS = {
+  bibtex: { label: 'BibTeX', render: formatBibtex },
+  ris: { label: 'RIS', render: formatRis },
+  csl_json: {
+    label: 'CSL-JSON',
+    render: (articles, keys, options) => JSON.stringify(articles.map((article, index) => toCslJson(article, keys[index], options)), null, 2) + '\n'
+  },
+  endnote_xml: { label: 'EndNote XML', render: formatEndnoteXml },
+  medline: { label: 'MEDLINE/NBIB', render: formatMedline }
+};
+
+// Split a PMID list given as an array or a comma/space separated string into valid and invalid entries
+function parsePmidList(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(/[\s,;]+/);
+  const valid = [];
+  const invalid = [];
+  
+  for (const item of items) {
+    const pmid = String(item).trim().replace(/^["']|["']$/g, '');
+    if (!pmid) continue;
+    if (/^\d+$/.test(pmid)) {
+      if (!valid.includes(pmid)) valid.push(pmid);
+    } else {
+      invalid.push(pmid);
+    }
+  }
+  
+  return { valid, invalid };
+}
+
+// Classify one identifier as a PMID, PMCID or DOI. Accepts "PMID:"/"PMCID:"/"doi:" prefixes,
+// doi.org links and PubMed, PMC and Europe PMC article URLs.
+function classifyIdentifier(raw) {
+  const input = String(raw);
+  let value = input.trim().replace(/^["']|["']$/g, '').trim();
+  
+  const pubmedUrl = value.match(/(?:pubmed\.ncbi\.nlm\.nih\.gov|ncbi\.nlm\.nih\.gov\/pubmed)\/(\d+)/i);
+  if (pubmedUrl) {
+    return { input, type: 'pmid', value: pubmedUrl[1] };
+  }
+  const pmcUrl = value.match(/(?:ncbi\.nlm\.nih\.gov\/pmc|pmc\.ncbi\.nlm\.nih\.gov|europepmc\.org)\/articles?\/(PMC\d+)/i);
+  if (pmcUrl) {
+    return { input, type: 'pmcid', value: pmcUrl[1].toUpperCase() };
+  }
+  
+  value = value.replace(/^(PMID|PMCID)\s*:?\s*/i, '');
+  if (/^\d+$/.test(value)) {
+    return { input, type: 'pmid', value };
+  }
+  if (/^PMC\d+$/i.test(value)) {
+    return { input, type: 'pmcid', value: value.toUpperCase() };
+  }
+  
+  let doi = value.replace(/^(doi:\s*|https?:\/\/(dx\.)?doi\.org\/)/i, '');
+  try {
+    doi = decodeURIComponent(doi);
+  } catch (error) {
+    // Not URL-encoded; keep the DOI as written
+  }
+  if (/^10\.\d{4,9}\/\S+$/.test(doi)) {
+    return { input, type: 'doi', value: doi };
+  }
+  
+  return { input, type: 'invalid', value };
+}
+
+// Fetch PubMed records for mixed PMIDs, PMCIDs and DOIs. DOIs and PMCIDs are found with batched
+// esearch field lookups and matched back through the ArticleIdList of the fetched records.
+async function fetchArticlesByIdentifiers(inputs) {
+  const entries = inputs.map(classifyIdentifier);
+  const pmids = entries.filter(entry => entry.type === 'pmid').map(entry => entry.value);
+  
+  // Previously resolved DOIs and PMCIDs skip the esearch lookup
+  const cache = await loadIdentifierCache();
+  for (const entry of entries) {
+    const cached = entry.type === 'doi' || entry.type === 'pmcid' ? cache[identifierCacheKey(entry.type, entry.value)] : null;
+    if (cached && cached.pmid) {
+      entry.cachedPmid = cached.pmid;
+      pmids.push(cached.pmid);
+    }
+  }
+  const lookups = entries.filter(entry => (entry.type === 'doi' || entry.type === 'pmcid') && !entry.cachedPmid);
+  
+  for (let i = 0; i < lookups.length; i += IDENTIFIER_LOOKUP_CHUNK_SIZE) {
+    const chunk = lookups.slice(i, i + IDENTIFIER_LOOKUP_CHUNK_SIZE);
+    const term = chunk
+      .map(entry => (entry.type === 'doi' ? `"${entry.value.replace(/"/g, '')}"[doi]` : `${entry.value}[pmcid]`))
+      .join(' OR ');
+    const searchResult = await makeNcbiRequest('esearch.fcgi', {
+      db: 'pubmed',
+      term,
+      retmax: chunk.length * 2,
+      retmode: 'json'
+    });
+    pmids.push(...((searchResult && searchResult.esearchresult && searchResult.esearchresult.idlist) || []));
+  }
+  
+  const { articles, failedChunks } = await fetchArticleBatch([...new Set(pmids)]);
+  const byPmid = new Map(articles.map(article => [String(article.uid), article]));
+  const byDoi = new Map(articles.filter(article => articleDoi(article)).map(article => [articleDoi(article).toLowerCase(), article]));
+  const byPmcid = new Map(articles.filter(article => article.pmcid).map(article => [article.pmcid.toUpperCase(), article]));
+  const failedPmids = new Map(failedChunks.flatMap(chunk => chunk.pmids.map(pmid => [String(pmid), chunk.error])));
+  
+  for (const entry of entries) {
+    let article = null;
+    if (entry.type === 'pmid') article = byPmid.get(entry.value);
+    if (entry.type === 'doi') article = byDoi.get(entry.value.toLowerCase());
+    if (entry.type === 'pmcid') article = byPmcid.get(entry.value);
+    if (!article && entry.cachedPmid) article = byPmid.get(entry.cachedPmid);
+    
+    if (entry.type === 'invalid') {
+      entry.status = 'invalid';
+    } else if (article) {
+      entry.status = 'ok';
+      entry.pmid = String(article.uid);
+    } else if (entry.type === 'pmid' && failedPmids.has(entry.value)) {
+      entry.status = 'failed';
+      entry.error = failedPmids.get(entry.value);
+    } else if (entry.type !== 'pmid' && failedChunks.length > 0) {
+      // The record may be in a chunk that failed, so the lookup cannot be confirmed either way
+      entry.status = 'failed';
+      entry.error = failedChunks[0].error;
+    } else {
+      entry.status = 'not_found';
+    }
+    delete entry.cachedPmid;
+  }
+  
+  await recordIdentifierMappings(articles.map(article => ({
+    pmid: String(article.uid),
+    pmcid: article.pmcid,
+    doi: articleDoi(article)
+  })));
+  
+  return { entries, byPmid, failedChunks };
+}
+
+// Map each identifier to its PMID, PMCID and DOI, answering from the local cache where possible.
+// Entries looked up at NCBI also carry the fetched record as `article`, so callers need not fetch it again.
+async function resolveIdentifiers(inputs) {
+  const cache = await loadIdentifierCache();
+  const results = inputs.map(classifyIdentifier);
+  const pending = [];
+  
+  for (const entry of results) {
+    const cached = entry.type === 'invalid' ? null : cache[identifierCacheKey(entry.type, entry.value)];
+    if (entry.type === 'invalid') {
+      entry.status = 'invalid';
+    } else if (cached) {
+      Object.assign(entry, { status: 'ok', source: 'cache', pmid: cached.pmid, pmcid: cached.pmcid, doi: cached.doi });
+    } else {
+      pending.push(entry);
+    }
+  }
+  
+  if (pending.length > 0) {
+    const { entries, byPmid } = await fetchArticlesByIdentifiers(pending.map(entry => entry.value));
+    entries.forEach((fetched, index) => {
+      const entry = pending[index];
+      entry.status = fetched.status;
+      if (fetched.error) entry.error = fetched.error;
+      if (fetched.status === 'ok') {
+        const article = byPmid.get(fetched.pmid);
+        Object.assign(entry, { source: 'ncbi', pmid: fetched.pmid, pmcid: article.pmcid || null, doi: articleDoi(article) || null, article });
+      }
+    });
+  }
+  
+  return results;
+}
+
+// PMIDs behind a stored search; PMC searches keep PMC IDs, so read PMIDs from their esummary records
+function storedSearchPmids(search) {
+  if (search.database !== 'pmc') {
+    return (search.id_list || []).map(String);
+  }
+  
+  return (search.articles || [])
+    .map(article => ((article.articleids || []).find(id => id.idtype === 'pmid') || {}).value)
+    .filter(pmid => pmid && /^\d+$/.test(pmid));
+}
+
+// Render parsed PubMed records in one of CITATION_FORMATS
+function exportCitations(articles, format, options = {}) {
+  const exporter = CITATION_FORMATS[format];
+  if (!exporter) {
+    throw new PubMedError(`Invalid citation format: "${format}". Use one of: ${Object.keys(CITATION_FORMATS).join(', ')}.`);
+  }
+  
+  return exporter.render(articles, assignCitationKeys(articles), options);
+}
+
+// Reference strings in manuscript citation styles
+const MONTH_ABBREVIATIONS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function authorInitials(author) {
+  if (author.initials) return author.initials;
+  return String(author.fore_name || '')
+    .split(/[\s-]+/)
+    .filter(Boolean)
+    .map(part => part[0].toUpperCase())
+    .join('');
+}
+
+// "J. A." for APA, "J.A." for Harvard
+function dottedInitials(author, separator) {
+  return authorInitials(author).split('').map(initial => `${initial}.`).join(separator);
+}
+
+// NLM abbreviations have no periods; fall back to the ISO abbreviation or full title
+function nlmJournalAbbreviation(article) {
+  if (article.medline_ta) return article.medline_ta;
+  if (article.journal_abbrev) return article.journal_abbrev.replace(/\./g, '');
+  return article.fulljournalname || '';
+}
+
+// Full journal title without PubMed's place qualifier, e.g. "Lancet (London, England)"
+function referenceJournalTitle(article) {
+  return String(article.fulljournalname || '').replace(/\s*\([^)]*\)\s*$/, '');
+}
+
+function referenceTitle(article) {
+  return String(article.title || 'No title available').trim().replace(/\.$/, '');
+}
+
+// Add a closing period unless the title already ends with ? or !
+function withTerminalPeriod(text) {
+  return /[.?!]$/.test(text) ? text : `${text}.`;
+}
+
+// "100-110" becomes "100-10" as in NLM/Vancouver references
+function abbreviatePageRange(pages) {
+  const [start, end] = splitPages(pages);
+  if (!end) return start;
+  if (!/^\d+$/.test(start) || !/^\d+$/.test(end) || start.length !== end.length) return `${start}-${end}`;
+  
+  let common = 0;
+  while (common < start.length - 1 && start[common] === end[common]) common++;
+  return `${start}-${end.slice(common)}`;
+}
+
+function fullPageRange(pages, dash = '-') {
+  const [start, end] = splitPages(pages);
+  return end ? `${start}${dash}${end}` : start;
+}
+
+function volumeIssue(article, italic) {
+  if (!article.volume) return article.issue ? `(${article.issue})` : '';
+  return `${italic(article.volume)}${article.issue ? `(${article.issue})` : ''}`;
+}
+
+function formatVancouver(article) {
+  const authors = authorObjects(article).map(author => (author.collective || !author.last_name
+    ? author.name
+    : `${author.last_name} ${authorInitials(author)}`));
+  const authorText = authors.length > 6 ? `${authors.slice(0, 6).join(', ')}, et al.` : withTerminalPeriod(authors.join(', '));
+  
+  const month = monthNumber(article.pub_month);
+  const date = [article.pub_year, month && MONTH_ABBREVIATIONS[month - 1], month && article.pub_day && Number(article.pub_day)]
+    .filter(Boolean).join(' ');
+  const locator = `${volumeIssue(article, text => text)}${article.pages ? `:${abbreviatePageRange(article.pages)}` : ''}`;
+  const doi = articleDoi(article);
+  
+  return [
+    authors.length > 0 ? authorText : '',
+    withTerminalPeriod(referenceTitle(article)),
+    withTerminalPeriod(nlmJournalAbbreviation(article)),
+    `${date}${locator ? `;${locator}` : ''}.`,
+    doi ? `doi: ${doi}` : ''
+  ].filter(Boolean).join(' ');
+}
+
+function formatApa(article, italic) {
+  const authors = authorObjects(article).map(author => (author.collective || !author.last_name
+    ? author.name
+    : `${author.last_name}, ${dottedInitials(author, ' ')}`));
+  
+  // APA 7: up to 20 authors; beyond that the first 19, an ellipsis and the final author
+  let authorText = '';
+  if (authors.length === 1) {
+    authorText = authors[0];
+  } else if (authors.length > 20) {
+    authorText = `${authors.slice(0, 19).join(', ')}, . . . ${authors[authors.length - 1]}`;
+  } else if (authors.length > 1) {
+    authorText = `${authors.slice(0, -1).join(', ')}, & ${authors[authors.length - 1]}`;
+  }
+  
+  const source = [
+    italic(referenceJournalTitle(article)),
+    volumeIssue(article, italic),
+    fullPageRange(article.pages, '–')
+  ].filter(Boolean).join(', ');
+  const doi = articleDoi(article);
+  
+  return [
+    authorText ? withTerminalPeriod(authorText) : '',
+    `(${article.pub_year || 'n.d.'}).`,
+    withTerminalPeriod(referenceTitle(article)),
+    `${source}.`,
+    doi ? `https://doi.org/${doi}` : ''
+  ].filter(Boolean).join(' ');
+}
+
+function formatAma(article, italic) {
+  const authors = authorObjects(article).map(author => (author.collective || !author.last_name
+    ? author.name
+    : `${author.last_name} ${authorInitials(author)}`));
+  
+  // AMA 11: list all authors up to 6; otherwise the first 3 followed by et al
+  const authorText = authors.length > 6 ? `${authors.slice(0, 3).join(', ')}, et al.` : withTerminalPeriod(authors.join(', '));
+  const locator = `${volumeIssue(article, text => text)}${article.pages ? `:${fullPageRange(article.pages)}` : ''}`;
+  const doi = articleDoi(article);
+  
+  return [
+    authors.length > 0 ? authorText : '',
+    withTerminalPeriod(referenceTitle(article)),
+    `${italic(nlmJournalAbbreviation(article))}.`,
+    `${article.pub_year || ''}${locator ? `;${locator}` : ''}.`,
+    doi ? `doi:${doi}` : ''
+  ].filter(Boolean).join(' ');
+}
+
+function formatHarvard(article, italic) {
+  const authors = authorObjects(article).map(author => (author.collective || !author.last_name
+    ? author.name
+    : `${author.last_name}, ${dottedInitials(author, '')}`));
+  
+  // Cite Them Right: four or more authors are shortened to the first author et al.
+  let authorText = authors.length > 3 ? `${authors[0]} et al.` : authors.join(', ');
+  if (authors.length === 2 || authors.length === 3) {
+    authorText = `${authors.slice(0, -1).join(', ')} and ${authors[authors.length - 1]}`;
+  }
+  
+  const pages = fullPageRange(article.pages, '–');
+  const source = [
+    italic(referenceJournalTitle(article)),
+    volumeIssue(article, text => text),
+    pages ? `${pages.includes('–') ? 'pp.' : 'p.'} ${pages}` : ''
+  ].filter(Boolean).join(', ');
+  const doi = articleDoi(article);
+  
+  return [
+    `${authorText || 'Anon.'} (${article.pub_year || 'no date'})`,
+    `'${referenceTitle(article)}',`,
+    `${source}.`,
+    doi ? `Available at: https://doi.org/${doi}.` : ''
+  ].filter(Boolean).join(' ');
+}
+
+const CITATION_STYLES = {
+  vancouver: { label: 'Vancouver/ICMJE', render: formatVancouver },
+  apa: { label: 'APA 7', render: formatApa },
+  ama: { label: 'AMA 11', render: formatAma },
+  harvard: { label: 'Harvard', render: formatHarvard }
+};
+
+// Render a parsed PubMed record as a reference string; markdown output italicizes journal titles
+function formatReference(article, style, markdown = true) {
+  const citationStyle = CITATION_STYLES[style];
+  if (!citationStyle) {
+    throw new PubMedError(`Invalid citation style: "${style}". Use one of: ${Object.keys(CITATION_STYLES).join(', ')}.`);
+  }
+  
+  const italic = text => (markdown && text ? `*${text}*` : text);
+  return citationStyle.render(article, italic);
+}
+
+// PMC full text (JATS XML)
+const JATS_FLOAT_ELEMENTS = new Set(['fig', 'table-wrap', 'fig-group', 'table-wrap-group', 'supplementary-material']);
+
+// Canonical section names used by the sections filter
+const SECTION_CATEGORIES = [
+  ['introduction', /intro|background/],
+  ['methods', /method|materials|patients and|study design|experimental/],
+  ['results', /result|findings/],
+  ['discussion', /discussion/],
+  ['conclusions', /conclu/]
+];
+
+// Parse JATS XML keeping child order, which mixed-content paragraphs need
+function parseJatsXml(xmlContent) {
+  return new Promise((resolve, reject) => {
+    const parserOptions = {
+      explicitArray: true,
+      explicitChildren: true,
+      preserveChildrenOrder: true,
+      charsAsChildren: true,
+      includeWhiteChars: true,
+      trim: false,
+      normalize: false,
+      attrkey: '$',
+      charkey: '_',
+      // Security limits
+      maxCharsInDocument: 50 * 1024 * 1024, // 50MB limit
+      maxChildrenInDocument: 100000, // Max number of child elements
+      maxDepth: 100 // Max nesting depth
+    };
+    
+    parseString(xmlContent, parserOptions, (err, result) => {
+      if (err) {
+        reject(new PubMedError(`Failed to parse PMC XML: ${err.message}`));
+        return;
+      }
+      
+      const rootName = result && Object.keys(result)[0];
+      resolve(rootName ? result[rootName] : null);
+    });
+  });
+}
+
+function jatsName(node) {
+  return node && node['#name'];
+}
+
+function jatsChildren(node) {
+  return (node && node.$$) || [];
+}
+
+function jatsAttr(node, name) {
+  return (node && node.$ && node.$[name]) || '';
+}
+
+// Text of a node in document order, leaving out floating figures and tables. Citation numbers
+// (<xref ref-type="bibr">) are bracketed so they do not run into the preceding word.
+function jatsText(node) {
+  if (!node) return '';
+  if (jatsName(node) === '__text__') return node._ || '';
+  if (JATS_FLOAT_ELEMENTS.has(jatsName(node))) return '';
+  
+  const text = jatsChildren(node).map(jatsText).join('');
+  if (jatsName(node) === 'xref' && jatsAttr(node, 'ref-type') === 'bibr') {
+    const label = collapseWhitespace(text).replace(/^[[(]|[\])]$/g, '');
+    return label ? `[${label}]` : '';
+  }
+  return text;
+}
+
+// Text of structured markup (e.g. <element-citation>) with a space between elements, so
+// "<surname>Doe</surname><given-names>J</given-names>" reads "Doe J"
+function jatsWords(node) {
+  if (!node) return '';
+  if (jatsName(node) === '__text__') return node._ || '';
+  return jatsChildren(node).map(jatsWords).join(' ');
+}
+
+// Bibliography entries from <ref-list>, with PMIDs and DOIs when the publisher tagged them
+function extractJatsReferences(article) {
+  return findAllJats(findDirectChild(article, 'back'), 'ref').map(ref => {
+    const ids = {};
+    for (const pubId of findAllJats(ref, 'pub-id')) {
+      ids[jatsAttr(pubId, 'pub-id-type')] = collapseWhitespace(jatsText(pubId));
+    }
+    const mixed = findJats(ref, 'mixed-citation') || findJats(ref, 'citation');
+    const structured = findJats(ref, 'element-citation');
+    
+    return {
+      id: jatsAttr(ref, 'id'),
+      label: collapseWhitespace(jatsText(findDirectChild(ref, 'label'))),
+      citation: collapseWhitespace(mixed ? jatsText(mixed) : jatsWords(structured)),
+      pmid: ids.pmid || '',
+      doi: ids.doi || ''
+    };
+  });
+}
+
+function collapseWhitespace(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+function findJats(node, name) {
+  for (const child of jatsChildren(node)) {
+    if (jatsName(child) === name) return child;
+    const found = findJats(child, name);
+    if (found) return found;
+  }
+  return null;
+}
+
+function findAllJats(node, name, results = []) {
+  for (const child of jatsChildren(node)) {
+    if (jatsName(child) === name) {
+      results.push(child);
+    } else {
+      findAllJats(child, name, results);
+    }
+  }
+  return results;
+}
+
+function sectionCategory(title, secType) {
+  const haystack = `${title} ${secType}`.toLowerCase();
+  const match = SECTION_CATEGORIES.find(([, pattern]) => pattern.test(haystack));
+  return match ? match[0] : 'other';
+}
+
+// Render the block content of a <sec>, <abstract> or <body> as Markdown paragraphs
+function renderJatsBlocks(node, depth) {
+  const blocks = [];
+  
+  for (const child of jatsChildren(node)) {
+    switch (jatsName(child)) {
+      case 'title':
+      case 'label':
+        break;
+      case 'sec': {
+        const title = collapseWhitespace(jatsText(findDirectChild(child, 'title')));
+        const body = renderJatsBlocks(child, depth + 1);
+        if (title) blocks.push(`${'#'.repeat(Math.min(depth + 3, 6))} ${title}`);
+        if (body) blocks.push(body);
+        break;
+      }
+      case 'list': {
+        const items = jatsChildren(child)
+          .filter(item => jatsName(item) === 'list-item')
+          .map(item => `- ${collapseWhitespace(jatsText(item))}`);
+        if (items.length > 0) blocks.push(items.join('\n'));
+        break;
+      }
+      case '__text__':
+        if (collapseWhitespace(child._)) blocks.push(collapseWhitespace(child._));
+        break;
+      default: {
+        if (JATS_FLOAT_ELEMENTS.has(jatsName(child))) break;
+        const text = collapseWhitespace(jatsText(child));
+        if (text) blocks.push(text);
+      }
+    }
+  }
+  
+  return blocks.join('\n\n');
+}
+
+function findDirectChild(node, name) {
+  return jatsChildren(node).find(child => jatsName(child) === name) || null;
+}
+
+function jatsCaption(node) {
+  const caption = findDirectChild(node, 'caption');
+  const title = collapseWhitespace(jatsText(findDirectChild(caption, 'title')));
+  const paragraphs = jatsChildren(caption)
+    .filter(child => jatsName(child) === 'p')
+    .map(child => collapseWhitespace(jatsText(child)))
+    .filter(Boolean);
+  
+  return {
+    id: jatsAttr(node, 'id'),
+    label: collapseWhitespace(jatsText(findDirectChild(node, 'label'))),
+    title,
+    caption: [title, ...paragraphs].filter(Boolean).join(' ')
+  };
+}
+
+// Split a JATS <article> into metadata, sections, and figure/table captions
+function extractJatsArticle(root) {
+  const article = jatsName(root) === 'article' ? root : findJats(root, 'article');
+  if (!article) {
+    throw new PubMedError('No article found in the PMC response.');
+  }
+  
+  const front = findDirectChild(article, 'front');
+  const articleMeta = findJats(front, 'article-meta');
+  const ids = {};
+  for (const id of jatsChildren(articleMeta).filter(child => jatsName(child) === 'article-id')) {
+    ids[jatsAttr(id, 'pub-id-type')] = collapseWhitespace(jatsText(id));
+  }
+  
+  const pmcid = ids.pmc || ids.pmcid || '';
+  const sections = [];
+  
+  const abstract = findJats(articleMeta, 'abstract');
+  if (abstract) {
+    sections.push({ title: 'Abstract', category: 'abstract', text: renderJatsBlocks(abstract, 0) });
+  }
+  
+  const body = findDirectChild(article, 'body');
+  if (body) {
+    const looseBlocks = [];
+    for (const child of jatsChildren(body)) {
+      if (jatsName(child) === 'sec') {
+        const title = collapseWhitespace(jatsText(findDirectChild(child, 'title'))) || 'Untitled section';
+        sections.push({
+          title,
+          category: sectionCategory(title, jatsAttr(child, 'sec-type')),
+          text: renderJatsBlocks(child, 0)
+        });
+      } else {
+        looseBlocks.push({ $$: [child] });
+      }
+    }
+    
+    // Some articles put paragraphs straight into <body> without sections
+    const looseText = looseBlocks.map(block => renderJatsBlocks(block, 0)).filter(Boolean).join('\n\n');
+    if (looseText) {
+      sections.splice(abstract ? 1 : 0, 0, { title: 'Main text', category: 'other', text: looseText });
+    }
+  }
+  
+  return {
+    pmcid: pmcid ? `PMC${pmcid.replace(/^PMC/i, '')}` : '',
+    pmid: ids.pmid || '',
+    doi: ids.doi || '',
+    title: collapseWhitespace(jatsText(findJats(articleMeta, 'article-title'))) || 'No title available',
+    journal: collapseWhitespace(jatsText(findJats(front, 'journal-title'))),
+    has_body: Boolean(body),
+    sections,
+    figures: findAllJats(article, 'fig').map(jatsCaption),
+    tables: findAllJats(article, 'table-wrap').map(jatsCaption),
+    references: extractJatsReferences(article)
+  };
+}
+
+// A section matches a filter by canonical category or by words in its title
+function sectionMatches(section, filters) {
+  return filters.some(filter => section.category === filter || section.title.toLowerCase().includes(filter));
+}
+
+// Trim sections in order so the combined text stays within the character budget
+function applyCharacterBudget(sections, maxChars) {
+  let remaining = maxChars;
+  const kept = [];
+  const omitted = [];
+  
+  for (const section of sections) {
+    if (remaining <= 0) {
+      omitted.push(section.title);
+      continue;
+    }
+    if (section.text.length > remaining) {
+      kept.push({ ...section, text: `${section.text.slice(0, remaining).trimEnd()}…`, truncated: true });
+      remaining = 0;
+    } else {
+      kept.push(section);
+      remaining -= section.text.length;
+    }
+  }
+  
+  return { sections: kept, omitted };
+}
+
+// Look up the PMCID of a PubMed record; it is in the ArticleIdList parsePubMedXml already reads
+async function pmcidForPmid(pmid) {
+  const articles = await fetchDetailedArticles([pmid]);
+  const article = articles.find(candidate => String(candidate.uid) === String(pmid));
+  return article ? article.pmcid || '' : null;
+}
+
+// Resolve a pmcid/pmid pair to a numeric PMC ID and fetch the article's JATS XML
+async function fetchPmcArticleXml(pmcid, pmid) {
+  let pmcNumber = pmcid ? String(pmcid).trim().replace(/^PMC/i, '') : '';
+  
+  if (pmcid && !/^\d+$/.test(pmcNumber)) {
+    throw new PubMedError(`Invalid PMCID format: ${pmcid}. Use e.g. PMC1234567.`);
+  }
+  
+  if (!pmcNumber && pmid) {
+    const pmidStr = String(pmid).trim();
+    if (!/^\d+$/.test(pmidStr)) {
+      throw new PubMedError(`Invalid PMID format: ${pmid}. PMID should be a number.`);
+    }
+    
+    const resolved = await pmcidForPmid(pmidStr);
+    if (resolved === null) {
+      throw new PubMedError(`No article found for PMID: ${pmidStr}`);
+    }
+    if (!resolved) {
+      throw new PubMedError(`PMID ${pmidStr} has no PMC full-text version.`);
+    }
+    pmcNumber = resolved.replace(/^PMC/i, '');
+  }
+  
+  if (!pmcNumber) {
+    throw new PubMedError('Please provide a PMCID or PMID.');
+  }
+  
+  const xmlContent = await makeNcbiRequest('efetch.fcgi', { db: 'pmc', id: pmcNumber, retmode: 'xml' });
+  return { pmcNumber, xmlContent };
+}
+
+// PMC tables (JATS <table-wrap>)
+function tableRowsOf(node) {
+  return findAllJats(node, 'tr');
+}
+
+function positiveSpan(value) {
+  const span = parseInt(value, 10);
+  return Number.isInteger(span) && span > 1 ? Math.min(span, 1000) : 1;
+}
+
+// Expand rowspan/colspan into a rectangular grid, repeating a spanned cell's text in every slot it covers
+function expandTableRows(rows) {
+  const grid = [];
+  const carried = []; // column -> { text, rowsLeft } from rowspans above
+  
+  rows.forEach((row, rowIndex) => {
+    const cells = [];
+    let column = 0;
+    
+    const fillCarried = () => {
+      while (carried[column] && carried[column].rowsLeft > 0) {
+        cells[column] = carried[column].text;
+        carried[column].rowsLeft--;
+        column++;
+      }
+    };
+    
+    for (const cell of jatsChildren(row).filter(child => ['td', 'th'].includes(jatsName(child)))) {
+      fillCarried();
+      
+      const text = collapseWhitespace(jatsText(cell));
+      const colspan = positiveSpan(jatsAttr(cell, 'colspan'));
+      const rowspan = positiveSpan(jatsAttr(cell, 'rowspan'));
+      
+      for (let offset = 0; offset < colspan; offset++) {
+        cells[column] = text;
+        if (rowspan > 1) {
+          carried[column] = { text, rowsLeft: rowspan - 1 };
+        }
+        column++;
+      }
+    }
+    fillCarried();
+    
+    // Rowspans reaching past the last explicit cell still occupy their columns
+    for (let index = column; index < carried.length; index++) {
+      if (carried[index] && carried[index].rowsLeft > 0) {
+        cells[index] = carried[index].text;
+        carried[index].rowsLeft--;
+      }
+    }
+    
+    grid[rowIndex] = cells;
+  });
+  
+  const width = Math.max(0, ...grid.map(cells => cells.length));
+  return grid.map(cells => Array.from({ length: width }, (_, index) => cells[index] || ''));
+}
+
+// Combine stacked header rows into one name per column, e.g. "Group / Treatment"
+function tableColumnNames(headerRows, width) {
+  return Array.from({ length: width }, (_, column) => {
+    const parts = [];
+    for (const row of headerRows) {
+      const text = row[column];
+      if (text && parts[parts.length - 1] !== text) parts.push(text);
+    }
+    return parts.join(' / ') || `Column ${column + 1}`;
+  });
+}
+
+function extractJatsTable(tableWrap, index) {
+  const info = jatsCaption(tableWrap);
+  const table = findJats(tableWrap, 'table');
+  const footnotes = [
+    ...findAllJats(findDirectChild(tableWrap, 'table-wrap-foot'), 'p'),
+    ...findAllJats(findDirectChild(tableWrap, 'table-wrap-foot'), 'fn').filter(fn => !findJats(fn, 'p'))
+  ].map(node => collapseWhitespace(jatsText(node))).filter(Boolean);
+  
+  if (!table) {
+    return { ...info, index, header_rows: [], columns: [], rows: [], footnotes, image_only: true };
+  }
+  
+  const head = findDirectChild(table, 'thead');
+  const headRows = head ? tableRowsOf(head) : [];
+  const bodyRows = jatsChildren(table)
+    .filter(child => jatsName(child) !== 'thead')
+    .flatMap(child => (jatsName(child) === 'tr' ? [child] : tableRowsOf(child)));
+  
+  const grid = expandTableRows([...headRows, ...bodyRows]);
+  let headerCount = headRows.length;
+  
+  // Without <thead>, treat leading rows made only of <th> cells as headers; an empty row is not one
+  const isHeaderRow = row => {
+    const cells = jatsChildren(row).filter(child => ['td', 'th'].includes(jatsName(child)));
+    return cells.length > 0 && cells.every(child => jatsName(child) === 'th');
+  };
+  if (headerCount === 0) {
+    while (headerCount < bodyRows.length && isHeaderRow(bodyRows[headerCount])) {
+      headerCount++;
+    }
+  }
+  
+  const headerRows = grid.slice(0, headerCount);
+  const width = grid.length > 0 ? grid[0].length : 0;
+  
+  return {
+    ...info,
+    index,
+    header_rows: headerRows,
+    columns: tableColumnNames(headerRows, width),
+    rows: grid.slice(headerCount),
+    footnotes
+  };
+}
+
+function escapeMarkdownCell(text) {
+  return String(text || '').replace(/\|/g, '\\|');
+}
+
+function tableToMarkdown(table) {
+  const lines = [`| ${table.columns.map(escapeMarkdownCell).join(' | ')} |`, `| ${table.columns.map(() => '---').join(' | ')} |`];
+  for (const row of table.rows) {
+    lines.push(`| ${row.map(escapeMarkdownCell).join(' | ')} |`);
+  }
+  return lines.join('\n');
+}
+
+function csvCell(text) {
+  const value = String(text || '');
+  return /[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+function tableToCsv(table) {
+  return [table.columns, ...table.rows].map(row => row.map(csvCell).join(',')).join('\n');
+}
+
+// Number in a "Table N" label ("Table 2." -> "2", "Table S1" -> "s1"), or null for other labels
+function tableLabelNumber(label) {
+  const match = /^table\s+(s?\d+)(?![\w-])/i.exec(String(label || '').trim());
+  return match ? match[1].toLowerCase() : null;
+}
+
+// Pick tables by label number, 1-based position or full label/id, e.g. "2", "S1" or "Table 2".
+// "1" means "Table 1" only, never a supplementary "Table S1".
+function selectTables(tables, selector) {
+  if (selector === undefined || selector === null || selector === '') return tables;
+  
+  const wanted = String(selector).trim().toLowerCase();
+  if (/^s?\d+$/.test(wanted)) {
+    const byLabel = tables.filter(table => tableLabelNumber(table.label) === wanted);
+    if (byLabel.length > 0 || wanted.startsWith('s')) return byLabel;
+    return tables.filter(table => table.index === Number(wanted));
+  }
+  
+  const normalize = text => String(text || '').trim().toLowerCase().replace(/[.:]$/, '');
+  return tables.filter(table => normalize(table.label) === normalize(wanted) || table.id.toLowerCase() === wanted);
+}
+
+// Citation graph (elink)
+const LINK_RELATIONS = {
+  similar: { linkname: 'pubmed_pubmed', label: 'Similar articles' },
+  cited_by: { linkname: 'pubmed_pubmed_citedin', label: 'Articles citing' },
+  cited_by_pmc: { linkname: 'pubmed_pmc_refs', db: 'pmc', label: 'PMC articles citing' },
+  references: { linkname: 'pubmed_pubmed_refs', label: 'References of' }
+};
+const ELINK_CHUNK_SIZE = 200;
+
+// Linked UIDs for a set of IDs, in the order elink returns them
+async function fetchLinkedIds(ids, linkname, dbFrom = 'pubmed', dbTo = 'pubmed') {
+  const linked = [];
+  
+  for (let i = 0; i < ids.length; i += ELINK_CHUNK_SIZE) {
+    const chunk = ids.slice(i, i + ELINK_CHUNK_SIZE);
+    const result = await makeNcbiRequest('elink.fcgi', {
+      dbfrom: dbFrom,
+      db: dbTo,
+      id: chunk.join(','),
+      linkname,
+      retmode: 'json'
+    });
+    
+    for (const linkset of (result && result.linksets) || []) {
+      for (const linksetdb of linkset.linksetdbs || []) {
+        if (linksetdb.linkname === linkname) {
+          linked.push(...(linksetdb.links || []).map(String));
+        }
+      }
+    }
+  }
+  
+  return [...new Set(linked)];
+}
+
+// One hop of the graph; PMC citations are mapped back to PMIDs so they can be fetched like any other record
+async function linkedPmids(pmids, relation) {
+  const { linkname, db = 'pubmed' } = LINK_RELATIONS[relation];
+  const linked = await fetchLinkedIds(pmids, linkname, 'pubmed', db);
+  
+  if (db === 'pmc' && linked.length > 0) {
+    return fetchLinkedIds(linked, 'pmc_pubmed', 'pmc', 'pubmed');
+  }
+  
+  return linked;
+}
+
+// Breadth-first expansion up to `depth` hops, deduplicated against the seeds and earlier hops.
+// `truncated` is set only when a further linked PMID was actually found beyond the limit.
+async function expandCitationGraph(seeds, relation, depth, limit) {
+  const seen = new Set(seeds);
+  const found = [];
+  let frontier = seeds;
+  let truncated = false;
+  
+  for (let hop = 1; hop <= depth && frontier.length > 0 && !truncated; hop++) {
+    const next = [];
+    for (const pmid of await linkedPmids(frontier, relation)) {
+      if (seen.has(pmid)) continue;
+      if (found.length >= limit) {
+        truncated = true;
+        break;
+      }
+      seen.add(pmid);
+      found.push({ pmid, hop });
+      next.push(pmid);
+    }
+    frontier = next;
+  }
+  
+  return { links: found, truncated };
+}
+
+// MeSH vocabulary (db=mesh). Descriptor UIDs in Entrez are the "68" prefix plus the D-number digits.
+const MESH_TREE_NUMBER_PATTERN = /^[A-Z]\d{2}(\.\d{3})*$/i;
+const MESH_UI_PATTERN = /^D\d{6,9}$/i;
+
+function toMeshRecord(summary) {
+  const terms = (summary.ds_meshterms || []).map(String);
+  const treeLinks = (summary.ds_idxlinks || []).map(link => ({
+    tree_number: String(link.treenum || ''),
+    parent: link.parent ? String(link.parent) : '',
+    children: (link.children || []).map(String)
+  }));
+  
+  return {
+    uid: String(summary.uid),
+    ui: summary.ds_meshui || '',
+    name: terms[0] || '',
+    entry_terms: terms.slice(1),
+    scope_note: collapseWhitespace(summary.ds_scopenote || ''),
+    tree_numbers: treeLinks.map(link => link.tree_number).filter(Boolean),
+    tree_links: treeLinks,
+    qualifiers: (summary.ds_subheading || []).map(String),
+    year_introduced: summary.ds_yearintroduced || ''
+  };
+}
+
+async function fetchMeshRecords(uids) {
+  const records = [];
+  
+  for (let i = 0; i < uids.length; i += ELINK_CHUNK_SIZE) {
+    const chunk = uids.slice(i, i + ELINK_CHUNK_SIZE);
+    const summary = await makeNcbiRequest('esummary.fcgi', {
+      db: 'mesh',
+      id: chunk.join(','),
+      retmode: 'json'
+    });
+    const result = (summary && summary.result) || {};
+    for (const uid of result.uids || chunk) {
+      if (result[uid] && !result[uid].error) {
+        records.push(toMeshRecord(result[uid]));
+      }
+    }
+  }
+  
+  return records;
+}
+
+// Search the MeSH database; only main descriptors are kept (no qualifiers or supplementary concepts)
+async function searchMeshDescriptors(term, limit) {
+  const searchResult = await makeNcbiRequest('esearch.fcgi', {
+    db: 'mesh',
+    term,
+    retmax: limit * 3,
+    retmode: 'json'
+  });
+  const uids = (searchResult && searchResult.esearchresult && searchResult.esearchresult.idlist) || [];
+  const records = await fetchMeshRecords(uids);
+  
+  return records.filter(record => !record.ui || MESH_UI_PATTERN.test(record.ui)).slice(0, limit);
+}
+
+// Find one descriptor from a name, D-number or tree number
+async function resolveMeshDescriptor(input) {
+  const value = String(input || '').trim();
+  if (!value) {
+    throw new PubMedError('Please provide a MeSH term, descriptor ID (D000000) or tree number.');
+  }
+  
+  let term;
+  if (MESH_UI_PATTERN.test(value)) {
+    term = `${value.toUpperCase()}[mhui]`;
+  } else if (MESH_TREE_NUMBER_PATTERN.test(value)) {
+    term = `${value.toUpperCase()}[mn]`;
+  } else {
+    term = `${quoteEntrezValue(value)}[mh]`;
+  }
+  
+  const exact = await searchMeshDescriptors(term, 5);
+  const matched = exact.find(record => (
+    record.ui.toUpperCase() === value.toUpperCase() ||
+    record.tree_numbers.some(treeNumber => treeNumber.toUpperCase() === value.toUpperCase()) ||
+    [record.name, ...record.entry_terms].some(name => name.toLowerCase() === value.toLowerCase())
+  ));
+  if (matched) {
+    return matched;
+  }
+  
+  // Fall back to a free-text search for names that are not an exact heading or entry term
+  const [best] = exact.length > 0 ? exact : await searchMeshDescriptors(value, 1);
+  if (!best) {
+    throw new PubMedError(`No MeSH descriptor found for "${value}".`);
+  }
+  return best;
+}
+
+// Parent, children and siblings of a descriptor at each of its tree locations
+async function meshTreeNeighbourhood(descriptor) {
+  const parentUids = [...new Set(descriptor.tree_links.map(link => link.parent).filter(Boolean))];
+  const parents = await fetchMeshRecords(parentUids);
+  const parentByUid = new Map(parents.map(record => [record.uid, record]));
+  
+  const relatedUids = new Set(descriptor.tree_links.flatMap(link => link.children));
+  for (const link of descriptor.tree_links) {
+    const parent = parentByUid.get(link.parent);
+    const parentLink = parent && parent.tree_links.find(candidate => link.tree_number.startsWith(`${candidate.tree_number}.`));
+    link.siblings = parentLink ? parentLink.children.filter(uid => uid !== descriptor.uid) : [];
+    link.siblings.forEach(uid => relatedUids.add(uid));
+  }
+  
+  const related = new Map((await fetchMeshRecords([...relatedUids])).map(record => [record.uid, record]));
+  const brief = uid => {
+    const record = related.get(uid) || parentByUid.get(uid);
+    return record ? { ui: record.ui, name: record.name, tree_numbers: record.tree_numbers } : { ui: '', name: `UID ${uid}`, tree_numbers: [] };
+  };
+  
+  return descriptor.tree_links.map(link => ({
+    tree_number: link.tree_number,
+    parent: link.parent ? brief(link.parent) : null,
+    children: link.children.map(brief),
+    siblings: link.siblings.map(brief)
+  }));
+}
+
+// Split a query into AND-ed concepts and pair each plain-text concept with its MeSH heading
+async function expandMeshQuery(query) {
+  const expanded = [];
+  const expansions = [];
+  
+  for (const concept of query.split(/\s+AND\s+/i)) {
+    const text = concept.trim().replace(/^"(.*)"$/, '$1');
+    // Leave tagged terms, boolean groups and wildcards to the user's own syntax
+    if (!text || /[[\]()*]|\s(OR|NOT)\s/i.test(text)) {
+      expanded.push(concept);
+      continue;
+    }
+    
+    const candidates = await searchMeshDescriptors(text, 3);
+    const descriptor = candidates.find(record => (
+      [record.name, ...record.entry_terms].some(name => name.toLowerCase() === text.toLowerCase())
+    ));
+    if (!descriptor) {
+      expanded.push(concept);
+      continue;
+    }
+    
+    expansions.push({ concept: text, descriptor: descriptor.name, ui: descriptor.ui });
+    expanded.push(`(${quoteEntrezValue(descriptor.name)}[MeSH] OR ${quoteEntrezValue(text)}[tiab])`);
+  }
+  
+  return { query: expanded.join(' AND '), expansions };
+}
+
+// Count-only esearch; every call goes through the shared rate-limited request queue
+async function countPubmedRecords(term) {
+  const searchResult = await makeNcbiRequest('esearch.fcgi', {
+    db: 'pubmed',
+    term,
+    retmax: 0,
+    retmode: 'json'
+  });
+  return parseInt((searchResult && searchResult.esearchresult && searchResult.esearchresult.count) || '0');
+}
+
+// Per-year counts for each query, plus all of PubMed per year as the denominator for the share.
+// A failed count is kept as null so one bad request does not discard the whole series.
+async function collectPublicationTrends(queries, startYear, endYear) {
+  const years = [];
+  for (let year = startYear; year <= endYear; year++) years.push(year);
+  
+  const failures = [];
+  const countOrNull = async (term, label) => {
+    try {
+      return await countPubmedRecords(term);
+    } catch (error) {
+      failures.push({ query: label, term, error: error.message });
+      return null;
+    }
+  };
+  
+  const totals = [];
+  for (const year of years) {
+    totals.push(await countOrNull(`${year}[dp]`, 'All PubMed'));
+  }
+  
+  const series = [];
+  for (const query of queries) {
+    const counts = [];
+    for (const [index, year] of years.entries()) {
+      const count = await countOrNull(`(${query}) AND ${year}[dp]`, query);
+      const previous = index > 0 ? counts[index - 1].count : null;
+      counts.push({
+        year,
+        count,
+        share: count !== null && totals[index] ? count / totals[index] : null,
+        yoy_growth: count !== null && previous ? (count - previous) / previous : null
+      });
+    }
+    series.push({
+      query,
+      total: counts.reduce((sum, point) => sum + (point.count || 0), 0),
+      counts
+    });
+  }
+  
+  return { years, totals, series, failures };
+}
+
+// Result-set analysis. Check tags describe study populations rather than topics, so they are
+// counted as descriptors but left out of co-occurrence pairs.
+const MESH_CHECK_TAGS = new Set([
+  'Humans', 'Animals', 'Male', 'Female', 'Pregnancy', 'Infant, Newborn', 'Infant', 'Child, Preschool',
+  'Child', 'Adolescent', 'Young Adult', 'Adult', 'Middle Aged', 'Aged', 'Aged, 80 and over', 'Mice', 'Rats'
+]);
+
+const COUNTRY_ALIASES = {
+  'united states': 'USA',
+  'united states of america': 'USA',
+  'u.s.a': 'USA',
+  'us': 'USA',
+  'united kingdom': 'UK',
+  'england': 'UK',
+  'scotland': 'UK',
+  'wales': 'UK',
+  'northern ireland': 'UK',
+  "people's republic of china": 'China',
+  'p.r. china': 'China',
+  'pr china': 'China',
+  'p. r. china': 'China',
+  'republic of korea': 'South Korea',
+  'korea': 'South Korea'
+};
+
+// Affiliations usually end with the country; drop e-mail notes and trailing punctuation first
+function affiliationCountry(affiliation) {
+  const cleaned = affiliation
+    .replace(/electronic address:.*$/i, '')
+    .replace(/\S+@\S+/g, '')
+    .replace(/[.;,\s]+$/, '');
+  const last = cleaned.split(',').pop().trim().replace(/\.$/, '');
+  if (!last || /\d/.test(last) || last.length > 40) {
+    return '';
+  }
+  return COUNTRY_ALIASES[last.toLowerCase()] || last;
+}
+
+function countInto(counts, key, label = key) {
+  if (!key) return;
+  const entry = counts.get(key) || { label, count: 0 };
+  entry.count += 1;
+  counts.set(key, entry);
+}
+
+function topCounts(counts, limit) {
+  return [...counts.values()]
+    .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label))
+    .slice(0, limit)
+    .map(({ label, count }) => ({ value: label, count }));
+}
+
+// Frequency tables over a set of parsed PubMed records; every table counts articles, not mentions
+function analyzeArticles(articles, topN) {
+  const authors = new Map();
+  const journals = new Map();
+  const majorMesh = new Map();
+  const minorMesh = new Map();
+  const keywords = new Map();
+  const publicationTypes = new Map();
+  const countries = new Map();
+  const years = new Map();
+  const meshPairs = new Map();
+  
+  for (const article of articles) {
+    for (const author of article.authors || []) {
+      if (typeof author !== 'object') continue;
+      const key = author.collective ? author.name : `${author.last_name} ${author.initials || author.fore_name || ''}`.trim();
+      countInto(authors, key.toLowerCase(), key);
+    }
+    
+    countInto(journals, article.fulljournalname || article.source);
+    
+    const headings = article.mesh_headings || (article.mesh_terms || []).map(descriptor => ({ descriptor, major_topic: false, qualifiers: [] }));
+    for (const heading of headings) {
+      const major = heading.major_topic || heading.qualifiers.some(qualifier => qualifier.major_topic);
+      countInto(major ? majorMesh : minorMesh, heading.descriptor);
+    }
+    
+    const topics = [...new Set(headings.map(heading => heading.descriptor).filter(name => !MESH_CHECK_TAGS.has(name)))].sort();
+    for (let i = 0; i < topics.length; i++) {
+      for (let j = i + 1; j < topics.length; j++) {
+        countInto(meshPairs, `${topics[i]}\u0000${topics[j]}`);
+      }
+    }
+    
+    for (const keyword of new Set((article.keywords || []).map(keyword => keyword.trim()))) {
+      countInto(keywords, keyword.toLowerCase(), keyword);
+    }
+    
+    for (const type of article.publication_types || []) {
+      countInto(publicationTypes, type);
+    }
+    
+    const articleCountries = new Set((article.authors || [])
+      .flatMap(author => (typeof author === 'object' ? author.affiliations || [] : []))
+      .map(affiliationCountry)
+      .filter(Boolean));
+    for (const country of articleCountries) {
+      countInto(countries, country.toLowerCase(), country);
+    }
+    
+    countInto(years, article.pub_year);
+  }
+  
+  return {
+    article_count: articles.length,
+    top_authors: topCounts(authors, topN),
+    top_journals: topCounts(journals, topN),
+    major_mesh_terms: topCounts(majorMesh, topN),
+    minor_mesh_terms: topCounts(minorMesh, topN),
+    top_keywords: topCounts(keywords, topN),
+    publication_types: topCounts(publicationTypes, topN),
+    countries: topCounts(countries, topN),
+    years: [...years.values()]
+      .sort((a, b) => a.label.localeCompare(b.label))
+      .map(({ label, count }) => ({ year: label, count })),
+    mesh_cooccurrence: topCounts(meshPairs, topN)
+      .filter(pair => pair.count > 1)
+      .map(({ value, count }) => ({ pair: value.split('\u0000'), count }))
+  };
+}
+
+// MCP resources: articles, PMC full text, citations and saved searches addressed by URI.
+// Append ?format=json to any URI for JSON instead of Markdown.
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'pubmed://article/{pmid}',
+    name: 'PubMed article',
+    description: 'Complete record of a PubMed article: abstract, authors, MeSH terms, grants and links',
+    mimeType: 'text/markdown'
+  },
+  {
+    uriTemplate: 'pmc://article/{pmcid}',
+    name: 'PMC full text',
+    description: 'Full text of an open access PubMed Central article, split into sections',
+    mimeType: 'text/markdown'
+  },
+  {
+    uriTemplate: 'pubmed://search/{search_id}',
+    name: 'Saved search',
+    description: 'Articles stored for a saved search; subscribe to be notified when new matching records are added',
+    mimeType: 'text/markdown'
+  },
+  {
+    uriTemplate: 'pubmed://article/{pmid}/citation/{style}',
+    name: 'Citation',
+    description: `Reference for a PubMed article in a citation style (${Object.keys(CITATION_STYLES).join(', ')}) or export format (${Object.keys(CITATION_FORMATS).join(', ')})`,
+    mimeType: 'text/plain'
+  }
+];
+
+const CITATION_MIME_TYPES = {
+  bibtex: 'application/x-bibtex',
+  ris: 'application/x-research-info-systems',
+  csl_json: 'application/vnd.citationstyles.csl+json',
+  endnote_xml: 'application/xml',
+  medline: 'text/plain'
+};
+
+// Split a resource URI into its kind and identifiers; throws for anything this server does not serve
+function parseResourceUri(uri) {
+  const [address, query = ''] = String(uri).split('?');
+  const format = new URLSearchParams(query).get('format') || 'markdown';
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new McpError(ErrorCode.InvalidParams, `Invalid format "${format}" in ${uri}. Use one of: ${OUTPUT_FORMATS.join(', ')}.`);
+  }
+  
+  let match = /^pubmed:\/\/article\/(\d+)\/citation\/([a-z_-]+)$/i.exec(address);
+  if (match) {
+    return { kind: 'citation', pmid: match[1], style: match[2].toLowerCase().replace(/-/g, '_'), format };
+  }
+  match = /^pubmed:\/\/article\/(\d+)$/i.exec(address);
+  if (match) {
+    return { kind: 'article', pmid: match[1], format };
+  }
+  match = /^pmc:\/\/article\/(?:PMC)?(\d+)$/i.exec(address);
+  if (match) {
+    return { kind: 'pmc', pmcid: `PMC${match[1]}`, format };
+  }
+  match = /^pubmed:\/\/search\/(\d+)$/i.exec(address);
+  if (match) {
+    return { kind: 'search', searchId: Number(match[1]), format };
+  }
+  
+  throw new McpError(ErrorCode.InvalidParams, `Unknown resource URI: ${uri}`);
+}
+
+async function fetchResourceArticle(pmid) {
+  const articles = await fetchDetailedArticles([pmid]);
+  const article = articles.find(candidate => String(candidate.uid) === pmid);
+  if (!article) {
+    throw new McpError(ErrorCode.InvalidParams, `No article found for PMID: ${pmid}`);
+  }
+  return article;
+}
+
+function formatStoredSearch(search) {
+  const articles = search.articles || [];
+  const source = search.database === 'pmc' ? 'PMC' : 'PubMed';
+  
+  let result = `💾 **Stored ${source} Search #${search.search_id}:** *${search.query}*\n`;
+  result += `🕒 **Saved:** ${search.created_at}${search.updated_at ? ` | **Updated:** ${search.updated_at}` : ''} | **Total matches:** ${Number(search.total_count || 0).toLocaleString()}\n`;
+  if (search.new_pmids && search.new_pmids.length > 0) {
+    result += `🆕 **Added since the search was saved:** ${search.new_pmids.join(', ')}\n`;
+  }
+  if (articles.length === 0) {
+    return result + '\nNo article records were stored for this search.';
+  }
+  
+  return result + '\n' + articles.map(article => formatEnhancedArticle(article)).join('\n');
+}
+
+async function readResource(uri) {
+  const target = parseResourceUri(uri);
+  const json = target.format === 'json';
+  const content = (mimeType, text) => ({ contents: [{ uri, mimeType, text }] });
+  
+  try {
+    switch (target.kind) {
+      case 'article': {
+        const article = await fetchResourceArticle(target.pmid);
+        return json
+          ? content('application/json', JSON.stringify(extractStructuredArticleInfo(article), null, 2))
+          : content('text/markdown', formatFullAbstract(article, DETAIL_SECTIONS));
+      }
+      case 'citation': {
+        if (!CITATION_STYLES[target.style] && !CITATION_FORMATS[target.style]) {
+          throw new McpError(ErrorCode.InvalidParams, `Unknown citation style "${target.style}". Use one of: ${[...Object.keys(CITATION_STYLES), ...Object.keys(CITATION_FORMATS)].join(', ')}.`);
+        }
+        const article = await fetchResourceArticle(target.pmid);
+        return CITATION_STYLES[target.style]
+          ? content('text/plain', formatReference(article, target.style, false))
+          : content(CITATION_MIME_TYPES[target.style], exportCitations([article], target.style));
+      }
+      case 'pmc': {
+        const result = await handleGetPmcFulltext(target.pmcid, undefined, undefined, MAX_FULLTEXT_CHARS, target.format);
+        const text = result.content[0].text;
+        if (result.isError) {
+          throw new McpError(ErrorCode.InvalidParams, json ? JSON.parse(text).error : text.replace(/^❌\s*/, ''));
+        }
+        return content(json ? 'application/json' : 'text/markdown', text);
+      }
+      case 'search': {
+        const search = await loadSearch(target.searchId);
+        if (!search) {
+          throw new McpError(ErrorCode.InvalidParams, `No stored search found with ID ${target.searchId}`);
+        }
+        return json
+          ? content('application/json', JSON.stringify({ ...search, articles: (search.articles || []).map(extractStructuredArticleInfo) }, null, 2))
+          : content('text/markdown', formatStoredSearch(search));
+      }
+    }
+  } catch (error) {
+    if (error instanceof McpError) {
+      throw error;
+    }
+    throw new McpError(ErrorCode.InternalError, `Failed to read ${uri}: ${error.message}`);
+  }
+}
+
+async function listResources() {
+  const index = await loadSearchIndex();
+  
+  return {
+    resources: index.searches.slice(-RESOURCE_LIST_LIMIT).reverse().map(entry => ({
+      uri: `pubmed://search/${entry.search_id}`,
+      name: `Search #${entry.search_id}: ${entry.query}`,
+      description: `${entry.database === 'pmc' ? 'PMC' : 'PubMed'} search, ${Number(entry.total_count || 0).toLocaleString()} matches, ${entry.stored_count} stored (${entry.updated_at || entry.created_at})`,
+      mimeType: 'text/markdown'
+    }))
+  };
+}
+
+// Connected servers (one per stdio or HTTP session) and the resource URIs each has subscribed to
+const openServers = new Set();
+const resourceSubscriptions = new Map();
+let searchRefreshTimer = null;
+let searchRefreshRunning = false;
+
+// Notifications are best effort: a session may have disconnected since it subscribed
+function notifyResourceListChanged() {
+  for (const instance of openServers) {
+    instance.sendResourceListChanged().catch(() => {});
+  }
+}
+
+function notifyResourceUpdated(uri) {
+  for (const instance of resourceSubscriptions.get(uri) || []) {
+    instance.sendResourceUpdated({ uri }).catch(() => {});
+  }
+}
+
+function unsubscribeAll(instance) {
+  for (const [uri, subscribers] of resourceSubscriptions) {
+    subscribers.delete(instance);
+    if (subscribers.size === 0) resourceSubscriptions.delete(uri);
+  }
+  updateSearchRefreshTimer();
+}
+
+// Poll only while someone is subscribed to a saved search
+function updateSearchRefreshTimer() {
+  const watching = [...resourceSubscriptions.keys()].some(uri => /^pubmed:\/\/search\//.test(uri));
+  
+  if (watching && !searchRefreshTimer && SEARCH_REFRESH_INTERVAL > 0) {
+    searchRefreshTimer = setInterval(refreshSubscribedSearches, SEARCH_REFRESH_INTERVAL);
+    searchRefreshTimer.unref();
+  } else if (!watching && searchRefreshTimer) {
+    clearInterval(searchRefreshTimer);
+    searchRefreshTimer = null;
+  }
+}
+
+async function refreshSubscribedSearches() {
+  // A slow round (rate limiting, many subscriptions) must not overlap the next one
+  if (searchRefreshRunning) return;
+  searchRefreshRunning = true;
+  
+  try {
+    await refreshSearchSubscriptions();
+  } finally {
+    searchRefreshRunning = false;
+  }
+}
+
+async function refreshSearchSubscriptions() {
+  for (const uri of [...resourceSubscriptions.keys()]) {
+    const match = /^pubmed:\/\/search\/(\d+)/.exec(uri);
+    if (!match) continue;
+    
+    try {
+      if (await refreshStoredSearch(Number(match[1]))) {
+        notifyResourceUpdated(uri);
+      }
+    } catch (error) {
+      console.error(`Failed to refresh search #${match[1]}: ${error.message}`);
+    }
+  }
+}
+
+// Look for records added to PubMed (by Entrez date) since a stored search was last checked and
+// prepend them to it. Returns the updated search, or null when nothing new arrived.
+async function refreshStoredSearch(searchId) {
+  const search = await loadSearch(searchId);
+  if (!search || search.database !== 'pubmed' || !search.term) {
+    return null;
+  }
+  
+  // mindate is a whole day, so the window also holds older matches entered that day; those beyond
+  // the stored PMIDs are only told apart by the growth of the result set since the last check
+  const totalCount = await countPubmedRecords(search.term);
+  const added = totalCount - Number(search.total_count || 0);
+  const checkedAt = new Date().toISOString();
+  
+  if (added <= 0) {
+    await updateSearch(searchId, { checked_at: checkedAt, total_count: totalCount });
+    return null;
+  }
+  
+  const since = new Date(search.checked_at || search.created_at);
+  const searchResult = await makeNcbiRequest('esearch.fcgi', {
+    db: 'pubmed',
+    term: search.term,
+    datetype: 'edat',
+    mindate: `${since.getUTCFullYear()}/${String(since.getUTCMonth() + 1).padStart(2, '0')}/${String(since.getUTCDate()).padStart(2, '0')}`,
+    maxdate: '3000',
+    retmax: MAX_REFRESH_NEW_RECORDS,
+    sort: SORT_ORDERS.most_recent.pubmed,
+    retmode: 'json'
+  });
+  
+  // Newest first, so the records beyond the growth in count are the older ones from the first day
+  const known = new Set((search.id_list || []).map(String));
+  const newPmids = ((searchResult.esearchresult && searchResult.esearchresult.idlist) || [])
+    .map(String)
+    .filter(pmid => !known.has(pmid))
+    .slice(0, added);
+  
+  if (newPmids.length === 0) {
+    await updateSearch(searchId, { checked_at: checkedAt, total_count: totalCount });
+    return null;
+  }
+  
+  const wanted = new Set(newPmids);
+  const articles = (await fetchDetailedArticles(newPmids)).filter(article => wanted.has(String(article.uid)));
+  return updateSearch(searchId, stored => ({
+    checked_at: checkedAt,
+    total_count: totalCount,
+    id_list: [...newPmids, ...(stored.id_list || [])],
+    new_pmids: [...newPmids, ...(stored.new_pmids || [])],
+    articles: [...articles, ...(stored.articles || [])]
+  }));
+}
+
+// MCP prompts: reusable instructions for common literature workflows. Each build() returns the
+// text of a user message that walks the model through the server's tools.
+const PROMPTS = [
+  {
+    name: 'pico_search',
+    description: 'Turn a PICO question (population, intervention, comparison, outcome) into a structured PubMed search plan and run it',
+    arguments: [
+      { name: 'population', description: 'Patients or population, e.g. "adults with type 2 diabetes"', required: true },
+      { name: 'intervention', description: 'Intervention or exposure, e.g. "SGLT2 inhibitors"', required: true },
+      { name: 'comparison', description: 'Comparator, e.g. "placebo" or "metformin" (optional)' },
+      { name: 'outcome', description: 'Outcome of interest, e.g. "heart failure hospitalization" (optional)' },
+      { name: 'study_types', description: `Comma-separated publication types to keep (${Object.keys(PUBLICATION_TYPE_FILTERS).join(', ')})` },
+      { name: 'since', description: 'Earliest publication date (YYYY or YYYY/MM/DD)' }
+    ],
+    build: args => {
+      const concepts = [
+        ['Population', args.population],
+        ['Intervention', args.intervention],
+        ['Comparison', args.comparison],
+        ['Outcome', args.outcome]
+      ].filter(([, value]) => value);
+      const studyTypes = toList(String(args.study_types || '').split(','));
+      
+      let text = `Build and run a PubMed search for this PICO question:\n\n`;
+      text += concepts.map(([label, value]) => `- **${label}:** ${value}`).join('\n');
+      text += `\n\nWork through these steps:\n`;
+      text += `1. For each PICO element, call \`mesh_lookup\` to find the matching MeSH heading and its entry terms. Build one concept block per element: "Heading"[MeSH] OR synonyms[tiab].\n`;
+      text += `2. Combine the blocks with AND. Leave the comparison out of the query if it would make it too narrow; comparators are often not mentioned in titles or abstracts.\n`;
+      text += `3. Check the size of the search with \`search_pubmed\` and \`count_only: true\`. Read the query translation and fix terms PubMed could not map. Aim for a few hundred records at most.\n`;
+      text += `4. Apply filters through \`search_pubmed\` arguments rather than in the query text:`;
+      text += studyTypes.length > 0
+        ? ` \`publication_types: ${JSON.stringify(studyTypes)}\``
+        : ' `publication_types: ["rct", "systematic_review", "meta_analysis"]` (adjust to the question)';
+      text += `, \`humans_only: true\`, \`exclude_retracted: true\`${args.since ? `, \`min_date: "${args.since}"\`` : ''}.\n`;
+      text += `5. Run the final search and list the most relevant records.\n\n`;
+      text += `Report the search plan as a table (PICO element, MeSH headings, free-text terms), the final query, the filters used, the result count, and the top results with PMIDs.`;
+      return text;
+    }
+  },
+  {
+    name: 'evidence_summary',
+    description: 'Summarize the published evidence on a question, weighting systematic reviews and randomized trials',
+    arguments: [
+      { name: 'topic', description: 'Clinical or research question, e.g. "vitamin D supplementation for fracture prevention"', required: true },
+      { name: 'max_studies', description: 'How many studies to read in detail (default: 10)' },
+      { name: 'since', description: 'Earliest publication date (YYYY or YYYY/MM/DD)' }
+    ],
+    build: args => {
+      const maxStudies = Math.max(1, Math.min(parseInt(args.max_studies, 10) || 10, 50));
+      const dateFilter = args.since ? `, \`min_date: "${args.since}"\`` : '';
+      
+      let text = `Summarize the current evidence on: **${args.topic}**\n\n`;
+      text += `1. Search for systematic reviews and meta-analyses first: \`search_pubmed\` with \`publication_types: ["systematic_review", "meta_analysis"]\`, \`exclude_retracted: true\`${dateFilter}.\n`;
+      text += `2. Search for randomized controlled trials (\`publication_types: ["rct"]\`), then observational studies if trials are scarce.\n`;
+      text += `3. Pick up to ${maxStudies} of the most relevant and recent records and read them in full with \`get_full_abstract\` (pass all PMIDs in \`ids\`).\n`;
+      text += `4. Check each record for retractions, errata and expressions of concern; leave retracted studies out and mention that you did.\n\n`;
+      text += `Write the summary with these sections:\n`;
+      text += `- **Bottom line:** two or three sentences.\n`;
+      text += `- **Evidence table:** study (first author, year, PMID), design, population, sample size, main result.\n`;
+      text += `- **Certainty of evidence:** consistency, risk of bias, precision and directness, in the spirit of GRADE.\n`;
+      text += `- **Gaps:** what is not yet known.\n\n`;
+      text += `Cite every claim with its PMID and do not state findings that are not in the retrieved abstracts.`;
+      return text;
+    }
+  },
+  {
+    name: 'critical_appraisal',
+    description: 'Critically appraise one article with the reporting checklist that fits its study design',
+    arguments: [
+      { name: 'pmid', description: 'PubMed ID of the article', required: true },
+      { name: 'checklist', description: 'Checklist to use (e.g. CONSORT, STROBE, PRISMA, CASP); chosen from the study design when omitted' }
+    ],
+    // The article itself is attached as a pubmed://article resource
+    resource: args => `pubmed://article/${args.pmid}`,
+    build: args => {
+      let text = `Critically appraise the article PMID ${args.pmid} (attached; if it is missing, fetch it with \`get_full_abstract\` and \`details: ["all"]\`).\n\n`;
+      text += `1. Identify the study design from its publication types and methods.\n`;
+      text += args.checklist
+        ? `2. Appraise it against the **${args.checklist}** checklist.\n`
+        : `2. Choose the matching checklist: CONSORT for randomized trials, STROBE for observational studies, PRISMA for systematic reviews and meta-analyses, STARD for diagnostic accuracy, CARE for case reports.\n`;
+      text += `3. If the record has a PMCID, read the methods and results with \`get_pmc_fulltext\`, since the abstract alone rarely answers the checklist.\n`;
+      text += `4. Note any retraction, erratum or expression of concern, the funding sources (grants) and registered trial numbers.\n\n`;
+      text += `Report strengths, limitations and risk of bias item by item, then an overall judgement of how far the conclusions are supported. Say explicitly which items could not be assessed from the available text.`;
+      return text;
+    }
+  },
+  {
+    name: 'related_work_section',
+    description: 'Draft a related work / background section with numbered citations',
+    arguments: [
+      { name: 'topic', description: 'Subject of the paper the section is for', required: true },
+      { name: 'seed_pmids', description: 'Comma-separated PMIDs of key papers to build around (optional)' },
+      { name: 'style', description: `Citation style for the reference list (${Object.keys(CITATION_STYLES).join(', ')}; default: vancouver)` },
+      { name: 'max_references', description: 'Maximum number of references (default: 20)' }
+    ],
+    build: args => {
+      const seeds = args.seed_pmids ? parsePmidList(args.seed_pmids.split(',')).valid : [];
+      const style = CITATION_STYLES[String(args.style || '').toLowerCase()] ? String(args.style).toLowerCase() : 'vancouver';
+      const maxReferences = Math.max(1, Math.min(parseInt(args.max_references, 10) || 20, 100));
+      
+      let text = `Draft a related work section for a paper on: **${args.topic}**\n\n`;
+      if (seeds.length > 0) {
+        text += `1. Start from the key papers ${seeds.join(', ')}: read them with \`get_full_abstract\`, then expand with \`get_similar_articles\`, \`get_references\` and \`get_cited_by\`.\n`;
+      } else {
+        text += `1. Find the key papers with \`search_pubmed\` (sorted by relevance, then by \`most_recent\` for current work) and expand from the best ones with \`get_similar_articles\` and \`get_cited_by\`.\n`;
+      }
+      text += `2. Use \`analyze_results\` on the main search to see which journals, authors and MeSH topics dominate the field.\n`;
+      text += `3. Group the work into 3-5 themes and order each theme historically, ending with the most recent work and the gap it leaves.\n`;
+      text += `4. Leave out retracted papers.\n`;
+      text += `5. Build the reference list with \`format_citation\` and \`style: "${style}"\`, at most ${maxReferences} references.\n\n`;
+      text += `Write flowing academic prose with numbered citations [1], [2] in order of first appearance, followed by the reference list. Only cite papers you actually retrieved.`;
+      return text;
+    }
+  }
+];
+
+async function listPrompts() {
+  return {
+    prompts: PROMPTS.map(({ name, description, arguments: promptArgs }) => ({ name, description, arguments: promptArgs }))
+  };
+}
+
+async function getPrompt(name, args = {}) {
+  const prompt = PROMPTS.find(candidate => candidate.name === name);
+  if (!prompt) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+  }
+  
+  const missing = prompt.arguments.filter(arg => arg.required && !String(args[arg.name] || '').trim());
+  if (missing.length > 0) {
+    throw new McpError(ErrorCode.InvalidParams, `Missing required argument${missing.length !== 1 ? 's' : ''} for ${name}: ${missing.map(arg => arg.name).join(', ')}`);
+  }
+  if (args.pmid !== undefined && !/^\d+$/.test(String(args.pmid).trim())) {
+    throw new McpError(ErrorCode.InvalidParams, `Invalid PMID format: ${args.pmid}. PMID should be a number.`);
+  }
+  if (args.study_types !== undefined) {
+    const unknown = toList(String(args.study_types).split(',')).filter(type => !publicationTypeName(type));
+    if (unknown.length > 0) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown study type${unknown.length !== 1 ? 's' : ''}: ${unknown.join(', ')}. Use any of: ${Object.keys(PUBLICATION_TYPE_FILTERS).join(', ')}.`);
+    }
+  }
+  
+  const trimmed = {};
+  for (const [key, value] of Object.entries(args)) {
+    trimmed[key] = String(value).trim();
+  }
+  
+  const messages = [];
+  if (prompt.resource) {
+    // Attaching the record saves a tool call; if NCBI is unavailable the instructions say how to fetch it
+    try {
+      const { contents } = await readResource(prompt.resource(trimmed));
+      messages.push({ role: 'user', content: { type: 'resource', resource: contents[0] } });
+    } catch (error) {
+      console.error(`Could not attach ${prompt.resource(trimmed)} to prompt ${name}: ${error.message}`);
+    }
+  }
+  messages.push({ role: 'user', content: { type: 'text', text: prompt.build(trimmed) } });
+  
+  return { description: prompt.description, messages };
+}
+
+// Create and configure an MCP server; the SDK binds one transport per Server, so HTTP mode
+// creates one per client session while the handlers (and cache, history, rate limiter) are shared
+function createServer() {
+  const instance = new Server(
+    {
+      name: 'enhanced-pubmed-mcp-server-node',
+      version: '1.0.0',
+    },
+    {
+      capabilities: {
+        tools: {},
+      },
+    }
+  );
+  
+  instance.setRequestHandler(ListToolsRequestSchema, handleListTools);
+  instance.setRequestHandler(CallToolRequestSchema, handleCallTool);
+  instance.setRequestHandler(ListResourcesRequestSchema, listResources);
+  instance.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({ resourceTemplates: RESOURCE_TEMPLATES }));
+  instance.setRequestHandler(ReadResourceRequestSchema, request => readResource(request.params.uri));
+  instance.setRequestHandler(ListPromptsRequestSchema, listPrompts);
+  instance.setRequestHandler(GetPromptRequestSchema, request => getPrompt(request.params.name, request.params.arguments));
+  
+  instance.setRequestHandler(SubscribeRequestSchema, async request => {
+    const { uri } = request.params;
+    parseResourceUri(uri);
+    if (!resourceSubscriptions.has(uri)) resourceSubscriptions.set(uri, new Set());
+    resourceSubscriptions.get(uri).add(instance);
+    updateSearchRefreshTimer();
+    return {};
+  });
+  instance.setRequestHandler(UnsubscribeRequestSchema, async request => {
+    const subscribers = resourceSubscriptions.get(request.params.uri);
+    if (subscribers) {
+      subscribers.delete(instance);
+      if (subscribers.size === 0) resourceSubscriptions.delete(request.params.uri);
+    }
+    updateSearchRefreshTimer();
+    return {};
+  });
+  
+  // SDK 0.4 derives capabilities from the registered handlers and cannot advertise subscriptions
+  const baseCapabilities = instance.getCapabilities.bind(instance);
+  instance.getCapabilities = () => ({
+    ...baseCapabilities(),
+    resources: { subscribe: true, listChanged: true }
+  });
+  
+  openServers.add(instance);
+  instance.onclose = () => {
+    openServers.delete(instance);
+    unsubscribeAll(instance);
+  };
+  
+  return instance;
+}
+
+// List available tools
+async function handleListTools() {
+  return {
+    tools: [
+      {
+        name: 'search_pubmed',
+        description: 'Enhanced PubMed search with complete abstract retrieval and PMC integration',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            query: {
+              type: 'string',
+              description: 'Search query to match against papers (optional when a cursor is given)'
+            },
+            max_results: {
+              type: 'number',
+              description: 'Maximum number of results per page (default: 10, max: 500)',
+              default: DEFAULT_MAX_RESULTS
+            },
+            page: {
+              type: 'number',
+              description: 'Page number to fetch, using max_results as the page size (starts at 1)'
+            },
+            offset: {
+              type: 'number',
+              description: 'Zero-based index of the first result to return (overrides page)'
+            },
+            cursor: {
+              type: 'string',
+              description: 'Cursor from a previous search_pubmed response to fetch the next page of the same result set'
+            },
+            sort: {
+              type: 'string',
+              enum: Object.keys(SORT_ORDERS),
+              description: 'Sort order (default: relevance)',
+              default: DEFAULT_SORT
+            },
+            format: {
+              type: 'string',
+              enum: OUTPUT_FORMATS,
+              description: 'Output format: markdown for reading, json for machine-readable records (default: markdown)',
+              default: 'markdown'
+            },
+            details: {
+              type: 'array',
+              items: { type: 'string', enum: ['all', ...DETAIL_SECTIONS] },
+              description: 'Extra record sections to show in Markdown output: affiliations (with ORCID), grants, publication_types, comments_corrections, chemicals, databanks (trial registrations), article_date, or "all"'
+            },
+            min_date: {
+              type: 'string',
+              description: 'Earliest date to include (YYYY, YYYY/MM or YYYY/MM/DD)'
+            },
+            max_date: {
+              type: 'string',
+              description: 'Latest date to include (YYYY, YYYY/MM or YYYY/MM/DD)'
+            },
+            date_type: {
+              type: 'string',
+              enum: Object.keys(DATE_TYPE_FIELDS),
+              description: 'Which date min_date/max_date apply to (default: publication)',
+              default: 'publication'
+            },
+            publication_types: {
+              type: 'array',
+              items: { type: 'string' },
+              description: `Restrict to publication types, combined with OR (${Object.keys(PUBLICATION_TYPE_FILTERS).join(', ')})`
+            },
+            languages: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Restrict to article languages, e.g. ["english", "ja"]'
+            },
+            humans_only: {
+              type: 'boolean',
+              description: 'Only include studies indexed with the Humans MeSH term'
+            },
+            free_full_text: {
+              type: 'boolean',
+              description: 'Only include articles with free full text'
+            },
+            exclude_retracted: {
+              type: 'boolean',
+              description: 'Leave out retracted publications'
+            },
+            count_only: {
+              type: 'boolean',
+              description: 'Return only the result count and how PubMed interpreted the query, without fetching articles (cheap way to refine a query)'
+            },
+            dry_run: {
+              type: 'boolean',
+              description: 'Alias for count_only'
+            },
+            expand_mesh: {
+              type: 'boolean',
+              description: 'Rewrite plain-text concepts (split on AND) into "Heading"[MeSH] OR "concept"[tiab] pairs when they match a MeSH heading or entry term'
+            },
+            has_abstract: {
+              type: 'boolean',
+              description: 'Only include articles that have an abstract'
+            },
+            journal: {
+              type: 'string',
+              description: 'Restrict to a journal (full title or abbreviation)'
+            },
+            author: {
+              type: 'string',
+              description: 'Restrict to an author, e.g. "Doudna JA"'
+            }
+          },
+          required: []
+        }
+      },
+      {
+        name: 'get_full_abstract',
+        description: 'Get complete abstracts for one PMID, or for many PMIDs, PMCIDs and DOIs at once',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            pmid: {
+              type: ['string', 'number'],
+              description: 'PubMed ID of the article (a PMCID, DOI or PubMed/PMC URL is also accepted)'
+            },
+            ids: {
+              type: 'array',
+              items: { type: ['string', 'number'] },
+              description: 'Batch mode: PMIDs, PMCIDs (PMC1234567) and DOIs to fetch together, with a per-ID status report'
+            },
+            max_chars: {
+              type: 'number',
+              description: 'Batch mode size budget in characters; articles beyond it are reported as omitted (default: 60000)',
+              default: DEFAULT_BATCH_ABSTRACT_CHARS
+            },
+            format: {
+              type: 'string',
+              enum: OUTPUT_FORMATS,
+              description: 'Output format: markdown for reading, json for machine-readable records (default: markdown)',
+              default: 'markdown'
+            },
+            details: {
+              type: 'array',
+              items: { type: 'string', enum: ['all', ...DETAIL_SECTIONS] },
+              description: 'Extra record sections to show in Markdown output: affiliations (with ORCID), grants, publication_types, comments_corrections, chemicals, databanks (trial registrations), article_date, or "all"'
+            }
+          },
+          required: []
+        }
+      },
+      {
+        name: 'resolve_identifiers',
+        description: 'Convert between PMIDs, PMCIDs and DOIs (PubMed, PMC and doi.org URLs are accepted)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            ids: {
+              type: 'array',
+              items: { type: ['string', 'number'] },
+              description: 'Identifiers to resolve, e.g. ["35504917", "PMC9234567", "10.1038/s41586-022-04715-3"]'
+            },
+            format: {
+              type: 'string',
+              enum: OUTPUT_FORMATS,
+              description: 'Output format: markdown for reading, json for machine-readable records (default: markdown)',
+              default: 'markdown'
+            }
+          },
+          required: ['ids']
+        }
+      },
+      {
+        name: 'search_pmc_fulltext',
+        description: 'Search PubMed Central (PMC) for full-text open access articles',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            query: {
+              type: 'string',
+              description: 'Search query for full-text search'
+            },
+            max_results: {
+              type: 'number',
+              description: 'Maximum number of results (default: 10, max: 50)',
+              default: DEFAULT_MAX_RESULTS
+            },
+            sort: {
+              type: 'string',
+              enum: Object.keys(SORT_ORDERS).filter(name => SORT_ORDERS[name].pmc),
+              description: 'Sort order (default: relevance)',
+              default: DEFAULT_SORT
+            },
+            format: {
+              type: 'string',
+              enum: OUTPUT_FORMATS,
+              description: 'Output format: markdown for reading, json for machine-readable records (default: markdown)',
+              default: 'markdown'
+            }
+          },
+          required: ['query']
+        }
+      },
+      {
+        name: 'retrieve_pubmed_results',
+        description: 'Retrieve previously stored PubMed search results with pagination. PubMed searches page over up to 1,000 stored PMIDs, downloading records that were not fetched with the search',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            search_id: {
+              type: 'number',
+              description: 'ID of the stored search to retrieve (see list_pubmed_searches)'
+            },
+            page: {
+              type: 'number',
+              description: 'Page number to retrieve (starts at 1)',
+              default: 1
+            },
+            results_per_page: {
+              type: 'number',
+              description: 'Number of results per page (default: 10, max: 50)',
+              default: DEFAULT_MAX_RESULTS
+            }
+          },
+          required: ['search_id']
+        }
+      },
+      {
+        name: 'list_pubmed_searches',
+        description: 'List previously stored PubMed and PMC searches, most recent first',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            limit: {
+              type: 'number',
+              description: 'Maximum number of searches to list (default: 20)',
+              default: DEFAULT_LIST_LIMIT
+            }
+          },
+          required: []
+        }
+      },
+      {
+        name: 'export_citations',
+        description: 'Export citations for PMIDs or a stored search as BibTeX, RIS, CSL-JSON, EndNote XML or MEDLINE/NBIB',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            pmids: {
+              type: 'array',
+              items: { type: ['string', 'number'] },
+              description: 'PubMed IDs to export'
+            },
+            search_id: {
+              type: 'number',
+              description: 'Export every article of a stored search (see list_pubmed_searches)'
+            },
+            format: {
+              type: 'string',
+              enum: Object.keys(CITATION_FORMATS),
+              description: 'Citation format (default: bibtex)',
+              default: 'bibtex'
+            },
+            include_abstract: {
+              type: 'boolean',
+              description: 'Include abstracts in the exported records (default: false)',
+              default: false
+            }
+          },
+          required: []
+        }
+      },
+      {
+        name: 'format_citation',
+        description: 'Format PMIDs as ready-to-paste references in Vancouver/ICMJE, APA 7, AMA 11 or Harvard style',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            pmids: {
+              type: 'array',
+              items: { type: ['string', 'number'] },
+              description: 'PubMed IDs to format, in reference list order'
+            },
+            style: {
+              type: 'string',
+              enum: Object.keys(CITATION_STYLES),
+              description: 'Citation style (default: vancouver)',
+              default: 'vancouver'
+            },
+            format: {
+              type: 'string',
+              enum: OUTPUT_FORMATS,
+              description: 'Output format: markdown for reading, json for plain and Markdown strings per PMID (default: markdown)',
+              default: 'markdown'
+            }
+          },
+          required: ['pmids']
+        }
+      },
+      {
+        name: 'get_pmc_fulltext',
+        description: 'Get the full text of an open access PMC article split into sections, with figure and table captions',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            pmcid: {
+              type: 'string',
+              description: 'PMC ID of the article, e.g. PMC1234567'
+            },
+            pmid: {
+              type: ['string', 'number'],
+              description: 'PubMed ID; used to look up the PMCID when pmcid is not given'
+            },
+            sections: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Only return these sections: abstract, introduction, methods, results, discussion, conclusions, or words from a section title'
+            },
+            max_chars: {
+              type: 'number',
+              description: 'Character budget for section text (default: 30000, max: 200000)',
+              default: DEFAULT_FULLTEXT_CHARS
+            },
+            format: {
+              type: 'string',
+              enum: OUTPUT_FORMATS,
+              description: 'Output format: markdown for reading, json for structured sections (default: markdown)',
+              default: 'markdown'
+            }
+          },
+          required: []
+        }
+      },
+      {
+        name: 'get_pmc_tables',
+        description: 'Extract tables from an open access PMC article as structured rows and columns',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            pmcid: {
+              type: 'string',
+              description: 'PMC ID of the article, e.g. PMC1234567'
+            },
+            pmid: {
+              type: ['string', 'number'],
+              description: 'PubMed ID; used to look up the PMCID when pmcid is not given'
+            },
+            table: {
+              type: ['string', 'number'],
+              description: 'Only return one table, by number, supplementary number or label (e.g. 2, "S1" or "Table 2")'
+            },
+            format: {
+              type: 'string',
+              enum: TABLE_FORMATS,
+              description: 'Output format: markdown tables, json rows/columns, or csv (default: markdown)',
+              default: 'markdown'
+            }
+          },
+          required: []
+        }
+      },
+      {
+        name: 'get_similar_articles',
+        description: 'Find articles similar to the given PMIDs (PubMed related articles)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            pmids: {
+              type: 'array',
+              items: { type: ['string', 'number'] },
+              description: 'PubMed IDs to start from'
+            },
+            depth: {
+              type: 'number',
+              description: 'Number of hops to follow, deduplicated across hops (default: 1, max: 3)',
+              default: 1
+            },
+            max_results: {
+              type: 'number',
+              description: 'Maximum number of linked articles to return (default: 10, max: 200)',
+              default: DEFAULT_MAX_RESULTS
+            },
+            format: {
+              type: 'string',
+              enum: OUTPUT_FORMATS,
+              description: 'Output format: markdown for reading, json for machine-readable records (default: markdown)',
+              default: 'markdown'
+            }
+          },
+          required: ['pmids']
+        }
+      },
+      {
+        name: 'get_cited_by',
+        description: 'Find articles that cite the given PMIDs',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            pmids: {
+              type: 'array',
+              items: { type: ['string', 'number'] },
+              description: 'PubMed IDs to start from'
+            },
+            source: {
+              type: 'string',
+              enum: ['pubmed', 'pmc'],
+              description: 'pubmed: citing articles in PubMed; pmc: citing full-text articles in PMC (default: pubmed)',
+              default: 'pubmed'
+            },
+            depth: {
+              type: 'number',
+              description: 'Number of hops to follow, deduplicated across hops (default: 1, max: 3)',
+              default: 1
+            },
+            max_results: {
+              type: 'number',
+              description: 'Maximum number of linked articles to return (default: 10, max: 200)',
+              default: DEFAULT_MAX_RESULTS
+            },
+            format: {
+              type: 'string',
+              enum: OUTPUT_FORMATS,
+              description: 'Output format: markdown for reading, json for machine-readable records (default: markdown)',
+              default: 'markdown'
+            }
+          },
+          required: ['pmids']
+        }
+      },
+      {
+        name: 'get_references',
+        description: 'List the articles that the given PMIDs cite (their reference lists)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            pmids: {
+              type: 'array',
+              items: { type: ['string', 'number'] },
+              description: 'PubMed IDs to start from'
+            },
+            depth: {
+              type: 'number',
+              description: 'Number of hops to follow, deduplicated across hops (default: 1, max: 3)',
+              default: 1
+            },
+            max_results: {
+              type: 'number',
+              description: 'Maximum number of linked articles to return (default: 10, max: 200)',
+              default: DEFAULT_MAX_RESULTS
+            },
+            format: {
+              type: 'string',
+              enum: OUTPUT_FORMATS,
+              description: 'Output format: markdown for reading, json for machine-readable records (default: markdown)',
+              default: 'markdown'
+            }
+          },
+          required: ['pmids']
+        }
+      },
+      {
+        name: 'mesh_lookup',
+        description: 'Look up MeSH descriptors: preferred heading, entry terms (synonyms), scope note, tree numbers and allowed qualifiers',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            term: {
+              type: 'string',
+              description: 'Concept to look up, e.g. "heart attack" or "D009203"'
+            },
+            max_results: {
+              type: 'number',
+              description: 'Maximum number of descriptors to return (default: 5, max: 20)',
+              default: DEFAULT_MESH_RESULTS
+            },
+            format: {
+              type: 'string',
+              enum: OUTPUT_FORMATS,
+              description: 'Output format: markdown for reading, json for machine-readable records (default: markdown)',
+              default: 'markdown'
+            }
+          },
+          required: ['term']
+        }
+      },
+      {
+        name: 'mesh_tree',
+        description: 'Show where a MeSH descriptor sits in the hierarchy: parent, children and siblings at each tree location',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            term: {
+              type: 'string',
+              description: 'MeSH heading, descriptor ID (D009203) or tree number (C14.280.647)'
+            },
+            format: {
+              type: 'string',
+              enum: OUTPUT_FORMATS,
+              description: 'Output format: markdown for reading, json for machine-readable records (default: markdown)',
+              default: 'markdown'
+            }
+          },
+          required: ['term']
+        }
+      },
+      {
+        name: 'publication_trends',
+        description: 'Count PubMed publications per year for one or more queries, with share of all PubMed records and year-over-year growth',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            queries: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'One query, or up to 5 to compare, e.g. ["CRISPR", "TALEN", "zinc finger nuclease"]'
+            },
+            start_year: {
+              type: 'number',
+              description: 'First year to count (default: 2000)',
+              default: DEFAULT_TREND_START_YEAR
+            },
+            end_year: {
+              type: 'number',
+              description: 'Last year to count (default: current year)'
+            },
+            format: {
+              type: 'string',
+              enum: OUTPUT_FORMATS,
+              description: 'Output format: markdown table, or json series (default: markdown)',
+              default: 'markdown'
+            }
+          },
+          required: ['queries']
+        }
+      },
+      {
+        name: 'analyze_results',
+        description: 'Summarize a result set: top authors, journals, MeSH terms (major and minor), keywords, publication types, countries, publication years and MeSH co-occurrence',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            query: {
+              type: 'string',
+              description: 'PubMed query to analyze (use this or search_id)'
+            },
+            search_id: {
+              type: 'number',
+              description: 'Stored search to analyze (from search_pubmed or list_pubmed_searches)'
+            },
+            max_results: {
+              type: 'number',
+              description: 'Maximum number of records to analyze (default: 200, max: 500)',
+              default: DEFAULT_ANALYSIS_RESULTS
+            },
+            top_n: {
+              type: 'number',
+              description: 'Number of entries per frequency table (default: 10, max: 50)',
+              default: DEFAULT_TOP_N
+            },
+            format: {
+              type: 'string',
+              enum: OUTPUT_FORMATS,
+              description: 'Output format: markdown for reading, json for machine-readable records (default: markdown)',
+              default: 'markdown'
+            }
+          },
+          required: []
+        }
+      },
+      {
+        name: 'get_abstract_help',
+        description: 'Get help and examples for using the get_full_abstract function',
+        inputSchema: {
+          type: 'object',
+          properties: {},
+          required: []
+        }
+      }
+    ]
+  };
+}
+
+// Handle tool calls
+async function handleCallTool(request) {
+  const { name, arguments: args } = request.params;
+
+  try {
+    switch (name) {
+      case 'search_pubmed':
+        return await handleSearchPubmed(args.query, args.max_results, {
+          page: args.page,
+          offset: args.offset,
+          cursor: args.cursor,
+          sort: args.sort,
+          format: args.format,
+          details: args.details,
+          expand_mesh: args.expand_mesh,
+          count_only: args.count_only || args.dry_run,
+          filters: {
+            min_date: args.min_date,
+            max_date: args.max_date,
+            date_type: args.date_type,
+            publication_types: args.publication_types,
+            languages: args.languages,
+            humans_only: args.humans_only,
+            free_full_text: args.free_full_text,
+            has_abstract: args.has_abstract,
+            exclude_retracted: args.exclude_retracted,
+            journal: args.journal,
+            author: args.author
+          }
+        });
+      case 'get_full_abstract':
+        return await handleGetFullAbstract(args.pmid, args.format, args.ids, args.max_chars, args.details);
+      case 'resolve_identifiers':
+        return await handleResolveIdentifiers(args.ids, args.format);
+      case 'search_pmc_fulltext':
+        return await handleSearchPmcFulltext(args.query, args.max_results, args.sort, args.format);
+      case 'retrieve_pubmed_results':
+        return await handleRetrievePubmedResults(args.search_id, args.page, args.results_per_page);
+      case 'list_pubmed_searches':
+        return await handleListPubmedSearches(args.limit);
+      case 'export_citations':
+        return await handleExportCitations(args.pmids, args.search_id, args.format, args.include_abstract);
+      case 'format_citation':
+        return await handleFormatCitation(args.pmids, args.style, args.format);
+      case 'get_pmc_fulltext':
+        return await handleGetPmcFulltext(args.pmcid, args.pmid, args.sections, args.max_chars, args.format);
+      case 'get_pmc_tables':
+        return await handleGetPmcTables(args.pmcid, args.pmid, args.table, args.format);
+      case 'get_similar_articles':
+        return await handleGetLinkedArticles('similar', args.pmids, args.depth, args.max_results, args.format);
+      case 'get_cited_by':
+        return await handleGetLinkedArticles(args.source === 'pmc' ? 'cited_by_pmc' : 'cited_by', args.pmids, args.depth, args.max_results, args.format);
+      case 'get_references':
+        return await handleGetLinkedArticles('references', args.pmids, args.depth, args.max_results, args.format);
+      case 'mesh_lookup':
+        return await handleMeshLookup(args.term, args.max_results, args.format);
+      case 'mesh_tree':
+        return await handleMeshTree(args.term, args.format);
+      case 'publication_trends':
+        return await handlePublicationTrends(args.queries, args.start_year, args.end_year, args.format);
+      case 'analyze_results':
+        return await handleAnalyzeResults(args.query, args.search_id, args.max_results, args.top_n, args.format);
+      case 'get_abstract_help':
+        return await handleGetAbstractHelp();
+      default:
+        throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+    }
+  } catch (error) {
+    if (error instanceof McpError) {
+      throw error;
+    }
+    throw new McpError(ErrorCode.InternalError, `Tool execution failed: ${error.message}`);
+  }
+}
+
+const server = createServer();
+
+// How esearch interpreted a term: translation, per-term counts, and terms it could not use
+function parseQueryTranslation(esearchResult) {
+  const errors = esearchResult.errorlist || {};
+  const warnings = esearchResult.warninglist || {};
+  const stack = Array.isArray(esearchResult.translationstack) ? esearchResult.translationstack : [];
+  
+  return {
+    query_translation: esearchResult.querytranslation || null,
+    terms: stack
+      .filter(item => item && typeof item === 'object' && item.term)
+      .map(item => ({ term: item.term, field: item.field || '', count: parseInt(item.count || '0'), explode: item.explode === 'Y' })),
+    phrases_not_found: toList(errors.phrasesnotfound),
+    fields_not_found: toList(errors.fieldsnotfound),
+    phrases_ignored: toList(warnings.phrasesignored),
+    quoted_phrases_not_found: toList(warnings.quotedphrasesnotfound),
+    messages: toList(warnings.outputmessages)
+  };
+}
+
+// Header lines for the interpreted query and anything PubMed dropped or could not match
+function formatTranslationNotes(translation) {
+  if (!translation) return '';
+  
+  let notes = '';
+  if (translation.query_translation) {
+    notes += `🧭 **PubMed interpreted as:** \`${translation.query_translation}\`\n`;
+  }
+  if (translation.phrases_not_found.length > 0) {
+    notes += `⚠️ **Phrases not found:** ${translation.phrases_not_found.join(', ')}\n`;
+  }
+  if (translation.quoted_phrases_not_found.length > 0) {
+    notes += `⚠️ **Quoted phrases not found:** ${translation.quoted_phrases_not_found.join(', ')}\n`;
+  }
+  if (translation.fields_not_found.length > 0) {
+    notes += `⚠️ **Unknown search fields:** ${translation.fields_not_found.join(', ')}\n`;
+  }
+  if (translation.phrases_ignored.length > 0) {
+    notes += `⚠️ **Ignored terms:** ${translation.phrases_ignored.join(', ')}\n`;
+  }
+  for (const message of translation.messages) {
+    notes += `⚠️ ${message}\n`;
+  }
+  
+  return notes;
+}
+
+// Run one page of a PubMed search and collect everything the output formatters need
+async function runPubmedSearch(query, maxResults, options = {}) {
+  const { page, offset, cursor, filters = {} } = options;
+  let cursorState = null;
+  let term;
+  let sortOrder;
+  let excludeRetracted = Boolean(filters.exclude_retracted);
+  let meshExpansions = [];
+  
+  if (cursor) {
+    cursorState = decodeSearchCursor(cursor);
+    query = cursorState.query;
+    term = cursorState.term || query;
+    sortOrder = resolveSortOrder(cursorState.sort, 'pubmed');
+    excludeRetracted = Boolean(cursorState.exclude_retracted);
+    if (maxResults === undefined || maxResults === null) {
+      maxResults = cursorState.page_size;
+    }
+  } else {
+    query = typeof query === 'string' ? query.trim() : '';
+    sortOrder = resolveSortOrder(options.sort, 'pubmed');
+    
+    let searchQuery = query;
+    if (options.expand_mesh && query) {
+      const expansion = await expandMeshQuery(query);
+      searchQuery = expansion.query;
+      meshExpansions = expansion.expansions;
+    }
+    term = buildSearchTerm(searchQuery, filters);
+  }
+  
+  if (!term) {
+    throw new PubMedError('Please provide a search query or at least one filter.');
+  }
+  
+  // Filter-only searches are labelled by their compiled term
+  query = query || term;
+  
+  // Enhanced maxResults validation
+  if (typeof maxResults !== 'number' || isNaN(maxResults) || maxResults === null || maxResults === undefined) {
+    maxResults = DEFAULT_MAX_RESULTS;
+  }
+  maxResults = Math.max(1, Math.min(Math.floor(Math.abs(maxResults)), MAX_SEARCH_RESULTS));
+  
+  // Resolve the starting record: cursor, then explicit offset, then page number
+  let retstart = 0;
+  if (cursorState) {
+    retstart = cursorState.offset;
+  } else if (typeof offset === 'number' && !isNaN(offset)) {
+    retstart = Math.max(0, Math.floor(offset));
+  } else if (typeof page === 'number' && !isNaN(page)) {
+    retstart = (Math.max(1, Math.floor(page)) - 1) * maxResults;
+  }
+  
+  if (retstart > MAX_ESEARCH_OFFSET) {
+    throw new PubMedError(`PubMed only allows paging through the first ${(MAX_ESEARCH_OFFSET + 1).toLocaleString()} results. Narrow the query to reach later records.`);
+  }
+  maxResults = Math.min(maxResults, MAX_ESEARCH_OFFSET + 1 - retstart);
+  
+  const result = {
+    query,
+    term,
+    sort: sortOrder,
+    total_count: 0,
+    offset: retstart,
+    page_size: maxResults,
+    query_translation: null,
+    translation: null,
+    count_only: Boolean(options.count_only),
+    id_list: [],
+    articles: [],
+    failed_chunks: [],
+    missing_pmids: [],
+    mesh_expansions: meshExpansions,
+    excluded_retracted: 0,
+    search_id: null,
+    next_cursor: null
+  };
+  let webEnv = null;
+  let queryKey = null;
+  
+  // Count-only (dry run): esearch with no IDs, no efetch and nothing saved to history
+  if (result.count_only) {
+    const searchResult = await makeNcbiRequest('esearch.fcgi', {
+      db: 'pubmed',
+      term,
+      retmax: 0,
+      retmode: 'json'
+    });
+    const esearchResult = (searchResult && searchResult.esearchresult) || {};
+    result.total_count = parseInt(esearchResult.count || '0');
+    result.translation = parseQueryTranslation(esearchResult);
+    result.query_translation = result.translation.query_translation;
+    return result;
+  }
+  
+  let esearchResult = null;
+  
+  // Later pages list their PMIDs from the NCBI history server (#query_key), so paging stays on the
+  // result set of the first page. Only an expired or unknown WebEnv falls back to a fresh esearch;
+  // network and HTTP failures are raised like on any other request.
+  if (cursorState && cursorState.webenv && cursorState.query_key) {
+    const historyResult = await makeNcbiRequest('esearch.fcgi', {
+      db: 'pubmed',
+      term: `#${cursorState.query_key}`,
+      WebEnv: cursorState.webenv,
+      retstart,
+      retmax: maxResults,
+      retmode: 'json',
+      sort: sortOrder.value
+    });
+    const page = (historyResult && historyResult.esearchresult) || {};
+    
+    if (!page.ERROR && Array.isArray(page.idlist)) {
+      esearchResult = page;
+      result.translation = parseQueryTranslation({ querytranslation: cursorState.query_translation });
+      webEnv = cursorState.webenv;
+      queryKey = cursorState.query_key;
+    }
+  }
+  
+  // First page, or the history session has expired: run esearch again at the requested offset.
+  // A first page lists up to MAX_STORED_SEARCH_IDS PMIDs, so the stored search covers more than it.
+  if (!esearchResult) {
+    const searchResult = await makeNcbiRequest('esearch.fcgi', {
+      db: 'pubmed',
+      term,
+      retstart,
+      retmax: cursorState ? maxResults : Math.max(maxResults, Math.min(MAX_STORED_SEARCH_IDS, MAX_ESEARCH_OFFSET + 1 - retstart)),
+      retmode: 'json',
+      sort: sortOrder.value,
+      usehistory: 'y'
+    });
+    esearchResult = (searchResult && searchResult.esearchresult) || {};
+    result.translation = parseQueryTranslation(esearchResult);
+    webEnv = esearchResult.webenv || null;
+    queryKey = esearchResult.querykey || null;
+  }
+  
+  const storedIds = (esearchResult.idlist || []).map(String);
+  result.total_count = parseInt(esearchResult.count || '0');
+  result.id_list = storedIds.slice(0, maxResults);
+  result.query_translation = result.translation.query_translation;
+  
+  if (result.id_list.length === 0) {
+    return result;
+  }
+  
+  // Fetch detailed article information
+  const batch = await fetchArticleBatch(result.id_list);
+  result.articles = batch.articles;
+  result.failed_chunks = batch.failedChunks;
+  result.missing_pmids = batch.missingPmids;
+  
+  if (result.articles.length === 0) {
+    return result;
+  }
+  
+  // The [pt] filter misses articles whose retraction is linked but not yet indexed as a publication type
+  if (excludeRetracted) {
+    const kept = result.articles.filter(article => !isRetracted(article));
+    result.excluded_retracted = result.articles.length - kept.length;
+    result.articles = kept;
+  }
+  
+  // One stored search per query: the first page saves it, later pages add to it
+  const searchRecord = {
+    database: 'pubmed',
+    query,
+    term,
+    sort: sortOrder.key,
+    total_count: result.total_count,
+    offset: retstart,
+    webenv: webEnv,
+    query_key: queryKey,
+    exclude_retracted: excludeRetracted,
+    id_list: storedIds,
+    articles: result.articles
+  };
+  result.search_id = cursorState && cursorState.search_id
+    ? await extendSearch(cursorState.search_id, searchRecord)
+    : await recordSearch(searchRecord);
+  
+  // Offer a cursor for the next page while there are reachable records left. The page ends at the
+  // requested size, not at the records returned: history pages count parsed articles, which skip
+  // PMIDs that failed to download or were dropped by NCBI.
+  const nextOffset = Math.min(retstart + maxResults, result.total_count);
+  if (nextOffset < Math.min(result.total_count, MAX_ESEARCH_OFFSET + 1)) {
+    result.next_cursor = encodeSearchCursor({
+      query,
+      term,
+      sort: sortOrder.key,
+      webenv: webEnv,
+      query_key: queryKey,
+      query_translation: result.query_translation,
+      offset: nextOffset,
+      page_size: maxResults,
+      total_count: result.total_count,
+      exclude_retracted: excludeRetracted,
+      search_id: result.search_id
+    });
+  }
+  
+  return result;
+}
+
+// Matches were found but none of their records could be downloaded
+function searchFetchFailed(result) {
+  return !result.count_only && result.id_list.length > 0 && result.articles.length === 0 && result.excluded_retracted === 0;
+}
+
+function formatMeshExpansions(expansions) {
+  if (expansions.length === 0) return '';
+  return `🏷️ **MeSH expansion:** ${expansions.map(item => `${item.concept} → ${item.descriptor}`).join('; ')}\n`;
+}
+
+// Render a PubMed search result as Markdown
+function formatPubmedSearchMarkdown(result, detailSections = []) {
+  const { query, term, sort, total_count: totalCount, offset, page_size: pageSize, id_list: idList, articles } = result;
+  const translationNotes = formatTranslationNotes(result.translation);
+  
+  if (result.count_only) {
+    let summary = `🔢 **PubMed Count - ${totalCount.toLocaleString()} result${totalCount !== 1 ? 's' : ''} for:** *${query}*\n`;
+    if (term !== query) {
+      summary += `🧮 **Compiled query:** \`${term}\`\n`;
+    }
+    summary += translationNotes;
+    summary += formatMeshExpansions(result.mesh_expansions);
+    if (result.translation && result.translation.terms.length > 0) {
+      summary += '\n**Matches per term:**\n';
+      summary += result.translation.terms
+        .map(item => `- \`${item.term}\`: ${item.count.toLocaleString()}`)
+        .join('\n');
+      summary += '\n';
+    }
+    summary += '\nNo articles were fetched (count only). Run the search without `count_only` to retrieve them.';
+    return summary;
+  }
+  
+  if (totalCount === 0) {
+    return `🔍 No results found for query: **${query}**\n${translationNotes}`.trimEnd();
+  }
+  
+  if (idList.length === 0) {
+    return `🔍 No more results for query: **${query}** (offset ${offset.toLocaleString()} is past the last of ${totalCount.toLocaleString()} results)`;
+  }
+  
+  if (articles.length === 0 && result.excluded_retracted > 0) {
+    return `🚫 All ${result.excluded_retracted} article${result.excluded_retracted !== 1 ? 's' : ''} on this page of **${query}** are retracted and were excluded.`;
+  }
+  
+  const fetchProblems = formatFetchProblems({ failedChunks: result.failed_chunks, missingPmids: result.missing_pmids });
+  
+  if (searchFetchFailed(result)) {
+    return `❌ No article details could be retrieved for query: **${query}**\n${fetchProblems}`.trimEnd();
+  }
+  
+  // Format results
+  const formattedArticles = articles.map(article => formatEnhancedArticle(article, false, detailSections));
+  
+  // Create header
+  let header = `🔬 **Enhanced PubMed Search - Found ${totalCount.toLocaleString()} result${totalCount !== 1 ? 's' : ''} for:** *${query}*\n`;
+  if (term !== query) {
+    header += `🧮 **Compiled query:** \`${term}\`\n`;
+  }
+  header += translationNotes;
+  header += formatMeshExpansions(result.mesh_expansions);
+  header += `↕️ **Sorted by:** ${sort.label}\n`;
+  if (totalCount > idList.length) {
+    const pageNumber = Math.floor(offset / pageSize) + 1;
+    const totalPages = Math.ceil(totalCount / pageSize);
+    header += `📄 **Showing results ${(offset + 1).toLocaleString()}-${(offset + idList.length).toLocaleString()}** (page ${pageNumber.toLocaleString()} of ${totalPages.toLocaleString()})\n`;
+  }
+  
+  // Count open access articles
+  const openAccessCount = articles.filter(article => 
+    extractEnhancedArticleInfo(article).pmc_available
+  ).length;
+  
+  if (openAccessCount > 0) {
+    header += `🔓 **${openAccessCount} full-text article${openAccessCount !== 1 ? 's' : ''} available in PMC**\n`;
+  }
+  
+  const retractedCount = articles.filter(isRetracted).length;
+  if (retractedCount > 0) {
+    header += `🚫 **${retractedCount} retracted article${retractedCount !== 1 ? 's' : ''} in these results** (use \`exclude_retracted\` to hide them)\n`;
+  }
+  if (result.excluded_retracted > 0) {
+    header += `🚫 **${result.excluded_retracted} retracted article${result.excluded_retracted !== 1 ? 's' : ''} excluded from this page**\n`;
+  }
+  header += fetchProblems;
+  
+  if (result.search_id !== null) {
+    header += `💾 **Saved as search #${result.search_id}** (use retrieve_pubmed_results to page through stored results)\n`;
+  }
+  
+  if (result.next_cursor) {
+    header += `➡️ **Next page cursor:** \`${result.next_cursor}\` (pass as \`cursor\` to search_pubmed)\n`;
+  }
+  
+  // Add disclaimer
+  const disclaimer = '\n📋 **Disclaimer:** These results are for informational purposes only and should not be considered medical advice. Consult a healthcare professional for medical concerns.';
+  
+  return header + '\n' + formattedArticles.join('\n') + disclaimer;
+}
+
+// Shape a PubMed search result for JSON output
+function pubmedSearchToJson(result) {
+  return {
+    query: result.query,
+    term: result.term,
+    sort: result.sort.key,
+    total_count: result.total_count,
+    offset: result.offset,
+    returned: result.articles.length,
+    query_translation: result.query_translation,
+    translation: result.translation,
+    count_only: result.count_only,
+    mesh_expansions: result.mesh_expansions,
+    search_id: result.search_id,
+    next_cursor: result.next_cursor,
+    failed_chunks: result.failed_chunks.map(chunk => ({ pmids: chunk.pmids, error: chunk.error })),
+    missing_pmids: result.missing_pmids,
+    excluded_retracted: result.excluded_retracted,
+    articles: result.articles.map(extractStructuredArticleInfo)
+  };
+}
 
 // Handle PubMed search
-async function handleSearchPubmed(query, maxResults = DEFAULT_MAX_RESULTS) {
+async function handleSearchPubmed(query, maxResults, options = {}) {
+  let format = 'markdown';
+  
+  try {
+    format = resolveOutputFormat(options.format);
+    const detailSections = resolveDetailSections(options.details);
+    const result = await runPubmedSearch(query, maxResults, options);
+    
+    const output = format === 'json'
+      ? jsonResult(pubmedSearchToJson(result))
+      : textResult(formatPubmedSearchMarkdown(result, detailSections));
+    return searchFetchFailed(result) ? { ...output, isError: true } : output;
+    
+  } catch (error) {
+    return errorResult(error, format);
+  }
+}
+
+// Complete abstract block used by get_full_abstract
+function formatFullAbstract(article, detailSections = []) {
+  const articleInfo = extractEnhancedArticleInfo(article);
+  const {
+    pmid,
+    title = 'No title available',
+    authors = 'No authors listed',
+    journal = 'Unknown journal',
+    pub_date = 'No date available',
+    abstract = 'No abstract available',
+    keywords = '',
+    mesh_terms = ''
+  } = articleInfo;
+  
+  const warnings = formatIntegrityWarnings(articleInfo);
+  
+  let result = `
+**📄 Complete Abstract for PMID: ${pmid}**
+${warnings ? '\n' + warnings + '\n' : ''}
+**Title:** ${title}
+**Authors:** ${authors}
+**Journal:** ${journal} (${pub_date})
+
+**Abstract:**
+${abstract}
+
+**PubMed Link:** https://pubmed.ncbi.nlm.nih.gov/${pmid}/`;
+
+  if (keywords) {
+    result += `\n**Keywords:** ${keywords}`;
+  }
+  
+  if (mesh_terms) {
+    result += `\n**MeSH Terms:** ${mesh_terms}`;
+  }
+  
+  if (articleInfo.major_topics && articleInfo.major_topics.length > 0) {
+    result += `\n**Major Topics:** ${articleInfo.major_topics.join(', ')}`;
+  }
+  
+  return result + formatRecordDetails(articleInfo, detailSections);
+}
+
+const IDENTIFIER_STATUS_LABELS = {
+  invalid: 'invalid identifier',
+  not_found: 'not found',
+  failed: 'download failed',
+  omitted: 'omitted (size budget reached)'
+};
+
+// Fetch many abstracts at once and report the outcome for every requested identifier
+async function handleGetFullAbstracts(ids, format, maxChars = DEFAULT_BATCH_ABSTRACT_CHARS, detailSections = []) {
+  if (typeof maxChars !== 'number' || isNaN(maxChars)) {
+    maxChars = DEFAULT_BATCH_ABSTRACT_CHARS;
+  }
+  maxChars = Math.max(1000, Math.min(Math.floor(maxChars), MAX_BATCH_ABSTRACT_CHARS));
+  
+  const inputs = [...new Set(toList(ids))];
+  if (inputs.length === 0) {
+    return errorResult(new PubMedError('Please provide at least one PMID, PMCID or DOI.'), format);
+  }
+  if (inputs.length > MAX_SEARCH_RESULTS) {
+    return errorResult(new PubMedError(`Too many identifiers (${inputs.length}). Request at most ${MAX_SEARCH_RESULTS} at a time.`), format);
+  }
+  
+  try {
+    const { entries, byPmid } = await fetchArticlesByIdentifiers(inputs);
+    
+    // Add articles in request order until the size budget is used up
+    const included = [];
+    const blocks = [];
+    let used = 0;
+    for (const entry of entries.filter(item => item.status === 'ok')) {
+      if (included.includes(entry.pmid)) continue;
+      const article = byPmid.get(entry.pmid);
+      const size = format === 'json'
+        ? JSON.stringify(extractStructuredArticleInfo(article)).length
+        : formatFullAbstract(article, detailSections).length;
+      if (used + size > maxChars && included.length > 0) {
+        entry.status = 'omitted';
+        continue;
+      }
+      used += size;
+      included.push(entry.pmid);
+      blocks.push(article);
+    }
+    for (const entry of entries) {
+      if (entry.status === 'ok' && !included.includes(entry.pmid)) entry.status = 'omitted';
+    }
+    
+    const statuses = entries.map(({ input, type, pmid, status, error }) => ({ input, type, pmid: pmid || null, status, error }));
+    // The status report is still returned when nothing could be fetched, but flagged as a failure
+    const flag = output => (blocks.length === 0 ? { ...output, isError: true } : output);
+    
+    if (format === 'json') {
+      return flag(jsonResult({
+        requested: inputs.length,
+        returned: blocks.length,
+        statuses,
+        articles: blocks.map(extractStructuredArticleInfo)
+      }));
+    }
+    
+    const problems = statuses.filter(entry => entry.status !== 'ok');
+    let result = `📄 **Complete Abstracts - ${blocks.length} of ${inputs.length} requested article${inputs.length !== 1 ? 's' : ''}**\n`;
+    
+    if (problems.length > 0) {
+      result += '\n**Status report:**\n';
+      result += problems.map(entry => `- \`${entry.input}\`: ${IDENTIFIER_STATUS_LABELS[entry.status]}${entry.error ? ` (${entry.error})` : ''}`).join('\n');
+      result += '\n';
+    }
+    
+    result += blocks.map(article => formatFullAbstract(article, detailSections) + '\n---').join('\n');
+    
+    return flag(textResult(result));
+    
+  } catch (error) {
+    return errorResult(error, format);
+  }
+}
+
+// Handle identifier resolution
+async function handleResolveIdentifiers(ids, format) {
+  try {
+    format = resolveOutputFormat(format);
+  } catch (error) {
+    return errorResult(error, 'markdown');
+  }
+  
+  const inputs = [...new Set(toList(ids))];
+  if (inputs.length === 0) {
+    return errorResult(new PubMedError('Please provide at least one PMID, PMCID, DOI or URL to resolve.'), format);
+  }
+  if (inputs.length > MAX_EXPORT_IDS) {
+    return errorResult(new PubMedError(`Too many identifiers (${inputs.length}). Resolve at most ${MAX_EXPORT_IDS} at a time.`), format);
+  }
+  
+  try {
+    const results = await resolveIdentifiers(inputs);
+    const resolved = results.filter(entry => entry.status === 'ok');
+    const unresolved = results.filter(entry => entry.status !== 'ok');
+    
+    if (format === 'json') {
+      return jsonResult({
+        requested: inputs.length,
+        resolved: resolved.length,
+        identifiers: results.map(({ input, type, status, source, pmid, pmcid, doi, error }) => ({
+          input,
+          type,
+          status,
+          source,
+          pmid: pmid || null,
+          pmcid: pmcid || null,
+          doi: doi || null,
+          error
+        }))
+      });
+    }
+    
+    let result = `🔗 **Identifier Resolution - ${resolved.length} of ${inputs.length} resolved**\n`;
+    
+    if (resolved.length > 0) {
+      result += '\n| Input | PMID | PMCID | DOI |\n|---|---|---|---|\n';
+      result += resolved
+        .map(entry => `| ${escapeMarkdownCell(entry.input)} | ${entry.pmid || '-'} | ${entry.pmcid || '-'} | ${entry.doi ? escapeMarkdownCell(entry.doi) : '-'} |`)
+        .join('\n');
+      result += '\n';
+    }
+    
+    if (unresolved.length > 0) {
+      result += '\n**Unresolved:**\n';
+      result += unresolved.map(entry => `- \`${entry.input}\`: ${IDENTIFIER_STATUS_LABELS[entry.status]}${entry.error ? ` (${entry.error})` : ''}`).join('\n');
+      result += '\n';
+    }
+    
+    return textResult(result);
+    
+  } catch (error) {
+    return errorResult(error, format);
+  }
+}
+
+// Handle get full abstract
+async function handleGetFullAbstract(pmid, format, ids, maxChars, details) {
+  let detailSections;
+  try {
+    format = resolveOutputFormat(format);
+    detailSections = resolveDetailSections(details);
+  } catch (error) {
+    return errorResult(error, format === 'json' ? 'json' : 'markdown');
+  }
+  
+  if (ids !== undefined || Array.isArray(pmid)) {
+    return handleGetFullAbstracts([...toList(pmid), ...toList(ids)], format, maxChars, detailSections);
+  }
+  
+  if (!pmid) {
+    return failureResult('Please provide a valid PMID.', format);
+  }
+  
+  // Accept PMIDs, PMCIDs, DOIs and PubMed/PMC URLs
+  const identifier = classifyIdentifier(pmid);
+  
+  if (identifier.type === 'invalid') {
+    return failureResult(`Invalid identifier: ${pmid}. Use a PMID, PMCID, DOI or PubMed/PMC URL.`, format);
+  }
+  
+  try {
+    let pmidStr = identifier.value;
+    let article = null;
+    if (identifier.type !== 'pmid') {
+      const [resolved] = await resolveIdentifiers([identifier.value]);
+      if (resolved.status !== 'ok') {
+        return failureResult(`Could not resolve ${identifier.type.toUpperCase()} ${identifier.value} to a PubMed record.`, format);
+      }
+      pmidStr = resolved.pmid;
+      article = resolved.article || null;
+    }
+    
+    // Use efetch to get detailed abstract, unless resolving the identifier already fetched the record
+    if (!article) {
+      const articles = await fetchDetailedArticles([pmidStr]);
+      
+      if (!articles || articles.length === 0) {
+        return failureResult(`No article found for PMID: ${pmidStr}`, format);
+      }
+      
+      article = articles.find(candidate => String(candidate.uid) === pmidStr) || articles[0];
+    }
+    
+    if (format === 'json') {
+      return jsonResult({ article: extractStructuredArticleInfo(article) });
+    }
+    
+    return textResult(formatFullAbstract(article, detailSections));
+    
+  } catch (error) {
+    return errorResult(error, format);
+  }
+}
+
+// Handle PMC fulltext search
+async function handleSearchPmcFulltext(query, maxResults = DEFAULT_MAX_RESULTS, sort = DEFAULT_SORT, format) {
+  try {
+    format = resolveOutputFormat(format);
+  } catch (error) {
+    return errorResult(error, 'markdown', 'PMC');
+  }
+  
   if (!query || !query.trim()) {
-    return {
-      content: [{ type: 'text', text: '❌ Please provide a search query.' }]
-    };
+    return failureResult('Please provide a search query.', format);
   }
   
   query = query.trim();
   
-  // Enhanced maxResults validation
+  // Enhanced maxResults validation for PMC
   if (typeof maxResults !== 'number' || isNaN(maxResults) || maxResults === null || maxResults === undefined) {
     maxResults = DEFAULT_MAX_RESULTS;
   }
-  maxResults = Math.max(1, Math.min(Math.floor(Math.abs(maxResults)), MAX_SEARCH_RESULTS));
+  maxResults = Math.max(1, Math.min(Math.floor(Math.abs(maxResults)), 50));
   
   try {
-    // Search PubMed
-    const searchParams = {
-      db: 'pubmed',
-      term: query,
-      retmax: maxResults,
-      retmode: 'json',
-      sort: 'relevance'
+    const sortOrder = resolveSortOrder(sort, 'pmc');
+    const { totalCount, idList, articles, failedChunks, missingIds } = await search_pmc(query, maxResults, sortOrder.value);
+    const fetchFailed = articles.length === 0 && failedChunks.length > 0;
+    
+    const searchId = articles.length > 0
+      ? await recordSearch({
+        database: 'pmc',
+        query,
+        sort: sortOrder.key,
+        total_count: totalCount,
+        id_list: idList,
+        articles
+      })
+      : null;
+    
+    if (format === 'json') {
+      const output = jsonResult({
+        query,
+        sort: sortOrder.key,
+        total_count: totalCount,
+        returned: articles.length,
+        search_id: searchId,
+        failed_chunks: failedChunks.map(chunk => ({ pmcids: chunk.pmids.map(id => `PMC${id}`), error: chunk.error })),
+        missing_pmcids: missingIds.map(id => `PMC${id}`),
+        articles: articles.map(extractStructuredArticleInfo)
+      });
+      return fetchFailed ? { ...output, isError: true } : output;
+    }
+    
+    const fetchProblems = formatPmcFetchProblems(failedChunks, missingIds);
+    if (fetchFailed) {
+      return failureResult(`No article details could be retrieved from PMC for query: **${query}**\n${fetchProblems}`.trimEnd());
+    }
+    if (articles.length === 0) {
+      return textResult(`🔍 No full-text articles found in PMC for query: **${query}**\n${fetchProblems}`.trimEnd());
+    }
+    
+    // Format results
+    const formattedArticles = articles.map(article => formatEnhancedArticle(article));
+    
+    // Create header
+    let header = `📖 **PMC Full-Text Search - Found ${articles.length} result${articles.length !== 1 ? 's' : ''} for:** *${query}*\n`;
+    header += `🔓 **All results have full text available**\n`;
+    header += `↕️ **Sorted by:** ${sortOrder.label}\n`;
+    header += fetchProblems;
+    
+    if (searchId !== null) {
+      header += `💾 **Saved as search #${searchId}** (use retrieve_pubmed_results to page through stored results)\n`;
+    }
+    
+    const disclaimer = '\n📖 **Note:** These are open access articles with full text available in PMC. Click the PMC links to access complete articles.';
+    
+    return textResult(header + '\n' + formattedArticles.join('\n') + disclaimer);
+    
+  } catch (error) {
+    return errorResult(error, format, 'PMC');
+  }
+}
+
+// Markdown warning for PMC summaries that could not be downloaded or were not returned
+function formatPmcFetchProblems(failedChunks, missingIds) {
+  const failedIds = failedChunks.flatMap(chunk => chunk.pmids);
+  let notes = '';
+  
+  if (failedIds.length > 0) {
+    const errors = [...new Set(failedChunks.map(chunk => chunk.error))];
+    notes += `⚠️ **${failedIds.length} summar${failedIds.length !== 1 ? 'ies' : 'y'} could not be downloaded** (${errors.join('; ')}): ${failedIds.slice(0, 20).map(id => `PMC${id}`).join(', ')}${failedIds.length > 20 ? ', ...' : ''}\n`;
+  }
+  if (missingIds.length > 0) {
+    notes += `⚠️ **Not returned by PMC:** ${missingIds.slice(0, 20).map(id => `PMC${id}`).join(', ')}${missingIds.length > 20 ? ', ...' : ''}\n`;
+  }
+  
+  return notes;
+}
+
+// Search PMC function (simplified version)
+async function search_pmc(query, maxResults, sort = SORT_ORDERS[DEFAULT_SORT].pmc) {
+  const searchParams = {
+    db: 'pmc',
+    term: query,
+    retmax: maxResults,
+    retmode: 'json',
+    sort
+  };
+  
+  const searchResult = await makeNcbiRequest('esearch.fcgi', searchParams);
+  const empty = { totalCount: 0, idList: [], articles: [], failedChunks: [], missingIds: [] };
+  
+  if (!searchResult || !searchResult.esearchresult) {
+    return empty;
+  }
+  
+  const totalCount = parseInt(searchResult.esearchresult.count || '0');
+  const idList = searchResult.esearchresult.idlist || [];
+  
+  if (idList.length === 0) {
+    return empty;
+  }
+  
+  // Get detailed PMC information
+  const summaryParams = {
+    db: 'pmc',
+    id: idList.join(','),
+    retmode: 'json'
+  };
+  
+  // Like efetch chunks in fetchArticleBatch, a failed summary request is reported rather than thrown
+  let summaryResult;
+  try {
+    summaryResult = await makeNcbiRequest('esummary.fcgi', summaryParams);
+  } catch (error) {
+    return { totalCount, idList, articles: [], failedChunks: [{ pmids: idList, error: error.message }], missingIds: [] };
+  }
+  
+  if (!summaryResult || !summaryResult.result) {
+    return { totalCount, idList, articles: [], failedChunks: [], missingIds: idList };
+  }
+  
+  const articles = [];
+  for (const pmcId of idList) {
+    if (pmcId in summaryResult.result) {
+      const articleData = summaryResult.result[pmcId];
+      if (typeof articleData === 'object' && articleData.uid) {
+        // Mark as PMC article
+        articleData.is_pmc = true;
+        articleData.pmcid = `PMC${pmcId}`;
+        articles.push(articleData);
+      }
+    }
+  }
+  
+  const returned = new Set(articles.map(article => String(article.uid)));
+  return { totalCount, idList, articles, failedChunks: [], missingIds: idList.filter(id => !returned.has(String(id))) };
+}
+
+// Handle retrieve pubmed results
+async function handleRetrievePubmedResults(searchId, page = 1, resultsPerPage = DEFAULT_MAX_RESULTS) {
+  const id = Number(searchId);
+  if (!Number.isInteger(id) || id < 1) {
+    return failureResult('Please provide a valid search_id (see list_pubmed_searches).');
+  }
+  
+  if (typeof page !== 'number' || isNaN(page)) {
+    page = 1;
+  }
+  page = Math.max(1, Math.floor(page));
+  
+  if (typeof resultsPerPage !== 'number' || isNaN(resultsPerPage)) {
+    resultsPerPage = DEFAULT_MAX_RESULTS;
+  }
+  resultsPerPage = Math.max(1, Math.min(Math.floor(Math.abs(resultsPerPage)), MAX_RESULTS_PER_PAGE));
+  
+  try {
+    const search = await loadSearch(id);
+    
+    if (!search) {
+      return failureResult(`No stored search found with ID ${id}. Use list_pubmed_searches to see available searches.`);
+    }
+    
+    // PubMed searches page over their stored PMIDs and download records not saved with the search;
+    // PMC searches keep only the records of the page that was run
+    const pmc = search.database === 'pmc';
+    const items = pmc ? search.articles || [] : storedSearchPmids(search);
+    const totalPages = Math.max(1, Math.ceil(items.length / resultsPerPage));
+    
+    if (page > totalPages) {
+      return failureResult(`Page ${page} is out of range. Search #${id} has ${totalPages} page${totalPages !== 1 ? 's' : ''} of ${resultsPerPage} results.`);
+    }
+    
+    const start = (page - 1) * resultsPerPage;
+    let pageArticles = items.slice(start, start + resultsPerPage);
+    let fetchProblems = '';
+    let excludedRetracted = 0;
+    
+    if (!pmc) {
+      const pagePmids = pageArticles;
+      const byPmid = new Map((search.articles || []).map(article => [String(article.uid), article]));
+      const unfetched = pagePmids.filter(pmid => !byPmid.has(pmid));
+      
+      if (unfetched.length > 0) {
+        const batch = await fetchArticleBatch(unfetched);
+        fetchProblems = formatFetchProblems(batch);
+        let fetched = batch.articles;
+        if (search.exclude_retracted) {
+          fetched = fetched.filter(article => !isRetracted(article));
+          excludedRetracted = batch.articles.length - fetched.length;
+        }
+        fetched.forEach(article => byPmid.set(String(article.uid), article));
+        
+        // Keep the downloaded records with the search; a failed write only costs a download next time
+        if (fetched.length > 0) {
+          await updateSearch(id, stored => {
+            const storedPmids = new Set((stored.articles || []).map(article => String(article.uid)));
+            return { articles: [...(stored.articles || []), ...fetched.filter(article => !storedPmids.has(String(article.uid)))] };
+          }).catch(error => console.error(`Failed to save search history: ${error.message}`));
+        }
+      }
+      
+      pageArticles = pagePmids.filter(pmid => byPmid.has(pmid)).map(pmid => byPmid.get(pmid));
+    }
+    
+    const formattedArticles = pageArticles.map(article => formatEnhancedArticle(article));
+    
+    const source = pmc ? 'PMC' : 'PubMed';
+    let header = `💾 **Stored ${source} Search #${id}:** *${search.query}*\n`;
+    header += `🕒 **Saved:** ${search.created_at} | **Total matches at search time:** ${Number(search.total_count || 0).toLocaleString()}\n`;
+    header += `📄 **Page ${page} of ${totalPages}** (results ${Math.min(start + 1, items.length)}-${Math.min(start + resultsPerPage, items.length)} of ${items.length} stored)\n`;
+    if (excludedRetracted > 0) {
+      header += `🚫 **Excluded ${excludedRetracted} retracted article${excludedRetracted !== 1 ? 's' : ''}**\n`;
+    }
+    header += fetchProblems;
+    
+    if (items.length === 0) {
+      header += '\nNo article records were stored for this search.';
+    }
+    
+    return {
+      content: [{ type: 'text', text: header + '\n' + formattedArticles.join('\n') }]
+    };
+    
+  } catch (error) {
+    return errorResult(error, 'markdown', 'Storage');
+  }
+}
+
+// Handle list pubmed searches  
+async function handleListPubmedSearches(limit = DEFAULT_LIST_LIMIT) {
+  if (typeof limit !== 'number' || isNaN(limit)) {
+    limit = DEFAULT_LIST_LIMIT;
+  }
+  limit = Math.max(1, Math.floor(Math.abs(limit)));
+  
+  const index = await loadSearchIndex();
+  
+  if (index.searches.length === 0) {
+    return {
+      content: [{ type: 'text', text: '📋 No stored searches yet. Run search_pubmed or search_pmc_fulltext to build your search history.' }]
+    };
+  }
+  
+  const recent = index.searches.slice(-limit).reverse();
+  const lines = recent.map(entry => {
+    const source = entry.database === 'pmc' ? 'PMC' : 'PubMed';
+    return `- **#${entry.search_id}** [${source}] *${entry.query}* — ${Number(entry.total_count || 0).toLocaleString()} matches, ${entry.stored_count} stored (${entry.created_at})`;
+  });
+  
+  let header = `📋 **Stored Searches** (${index.searches.length} total`;
+  header += index.searches.length > recent.length ? `, showing ${recent.length} most recent)\n` : ')\n';
+  
+  return {
+    content: [{ type: 'text', text: header + '\n' + lines.join('\n') + '\n\nUse retrieve_pubmed_results with a search_id to view stored articles.' }]
+  };
+}
+
+// Handle citation export
+async function handleExportCitations(pmids, searchId, format = 'bibtex', includeAbstract = false) {
+  const formatKey = String(format || 'bibtex').trim().toLowerCase().replace(/-/g, '_');
+  if (!CITATION_FORMATS[formatKey]) {
+    return failureResult(`Invalid citation format: "${format}". Use one of: ${Object.keys(CITATION_FORMATS).join(', ')}.`);
+  }
+  
+  const { valid, invalid } = parsePmidList(pmids);
+  
+  try {
+    if (searchId !== undefined && searchId !== null) {
+      const search = await loadSearch(Number(searchId));
+      if (!search) {
+        return failureResult(`No stored search found with ID ${searchId}. Use list_pubmed_searches to see available searches.`);
+      }
+      for (const pmid of storedSearchPmids(search)) {
+        if (!valid.includes(pmid)) valid.push(pmid);
+      }
+    }
+    
+    if (valid.length === 0) {
+      return failureResult('Please provide at least one valid PMID or a search_id.');
+    }
+    
+    if (valid.length > MAX_EXPORT_IDS) {
+      return failureResult(`Too many PMIDs (${valid.length}). Export at most ${MAX_EXPORT_IDS} citations at a time.`);
+    }
+    
+    const batch = await fetchArticleBatch(valid);
+    const byPmid = new Map(batch.articles.map(article => [String(article.uid), article]));
+    const ordered = valid.filter(pmid => byPmid.has(pmid)).map(pmid => byPmid.get(pmid));
+    
+    if (ordered.length === 0) {
+      return failureResult(`No articles could be retrieved for the requested PMIDs: ${valid.join(', ')}\n${formatFetchProblems(batch)}`.trimEnd());
+    }
+    
+    const output = exportCitations(ordered, formatKey, { includeAbstract: Boolean(includeAbstract) });
+    
+    let summary = `📚 **Exported ${ordered.length} citation${ordered.length !== 1 ? 's' : ''} as ${CITATION_FORMATS[formatKey].label}**`;
+    const fetchProblems = formatFetchProblems(batch);
+    if (fetchProblems) {
+      summary += `\n${fetchProblems.trimEnd()}`;
+    }
+    if (invalid.length > 0) {
+      summary += `\n⚠️ **Invalid PMIDs skipped:** ${invalid.join(', ')}`;
+    }
+    
+    return {
+      content: [
+        { type: 'text', text: summary },
+        { type: 'text', text: output }
+      ]
     };
     
-    const searchResult = await makeNcbiRequest('esearch.fcgi', searchParams);
+  } catch (error) {
+    return errorResult(error, 'markdown');
+  }
+}
+
+// Handle formatted reference strings
+async function handleFormatCitation(pmids, style = 'vancouver', format) {
+  try {
+    format = resolveOutputFormat(format);
+  } catch (error) {
+    return errorResult(error, 'markdown');
+  }
+  
+  const styleKey = String(style || 'vancouver').trim().toLowerCase();
+  if (!CITATION_STYLES[styleKey]) {
+    return errorResult(new PubMedError(`Invalid citation style: "${style}". Use one of: ${Object.keys(CITATION_STYLES).join(', ')}.`), format);
+  }
+  
+  const { valid, invalid } = parsePmidList(pmids);
+  if (valid.length === 0) {
+    return errorResult(new PubMedError('Please provide at least one valid PMID.'), format);
+  }
+  if (valid.length > MAX_SEARCH_RESULTS) {
+    return errorResult(new PubMedError(`Too many PMIDs (${valid.length}). Format at most ${MAX_SEARCH_RESULTS} references at a time.`), format);
+  }
+  
+  try {
+    const batch = await fetchArticleBatch(valid);
+    const byPmid = new Map(batch.articles.map(article => [String(article.uid), article]));
+    const found = valid.filter(pmid => byPmid.has(pmid));
+    
+    if (format === 'json') {
+      return jsonResult({
+        style: styleKey,
+        references: found.map(pmid => ({
+          pmid,
+          text: formatReference(byPmid.get(pmid), styleKey, false),
+          markdown: formatReference(byPmid.get(pmid), styleKey, true)
+        })),
+        not_found: batch.missingPmids,
+        failed_chunks: fetchProblemsToJson(batch).failed_chunks,
+        invalid
+      });
+    }
+    
+    const fetchProblems = formatFetchProblems(batch);
+    
+    if (found.length === 0) {
+      return failureResult(`No articles could be retrieved for the requested PMIDs: ${valid.join(', ')}\n${fetchProblems}`.trimEnd());
+    }
+    
+    const references = found.map((pmid, index) => `${index + 1}. ${formatReference(byPmid.get(pmid), styleKey)}`);
+    
+    let result = `📝 **${CITATION_STYLES[styleKey].label} References**\n\n${references.join('\n')}`;
+    if (fetchProblems) {
+      result += `\n\n${fetchProblems.trimEnd()}`;
+    }
+    if (invalid.length > 0) {
+      result += `\n⚠️ **Invalid PMIDs skipped:** ${invalid.join(', ')}`;
+    }
+    
+    return textResult(result);
+    
+  } catch (error) {
+    return errorResult(error, format);
+  }
+}
+
+// Handle PMC full-text retrieval
+async function handleGetPmcFulltext(pmcid, pmid, sections, maxChars = DEFAULT_FULLTEXT_CHARS, format) {
+  try {
+    format = resolveOutputFormat(format);
+  } catch (error) {
+    return errorResult(error, 'markdown', 'PMC');
+  }
+  
+  if (typeof maxChars !== 'number' || isNaN(maxChars)) {
+    maxChars = DEFAULT_FULLTEXT_CHARS;
+  }
+  maxChars = Math.max(500, Math.min(Math.floor(maxChars), MAX_FULLTEXT_CHARS));
+  
+  const sectionFilters = toList(sections).map(section => section.toLowerCase());
+  
+  try {
+    const { pmcNumber, xmlContent } = await fetchPmcArticleXml(pmcid, pmid);
+    const article = extractJatsArticle(await parseJatsXml(xmlContent));
+    const articlePmcid = article.pmcid || `PMC${pmcNumber}`;
+    const pmcLink = `https://www.ncbi.nlm.nih.gov/pmc/articles/${articlePmcid}/`;
+    
+    if (!article.has_body) {
+      const message = `The full text of ${articlePmcid} is not available as XML (the publisher may not allow text mining). Read it at ${pmcLink}`;
+      return failureResult(message, format);
+    }
+    
+    const selected = sectionFilters.length > 0
+      ? article.sections.filter(section => sectionMatches(section, sectionFilters))
+      : article.sections;
+    const { sections: kept, omitted } = applyCharacterBudget(selected, maxChars);
+    
+    if (format === 'json') {
+      return jsonResult({
+        pmcid: articlePmcid,
+        pmid: article.pmid,
+        doi: article.doi,
+        title: article.title,
+        journal: article.journal,
+        sections: kept,
+        omitted_sections: omitted,
+        available_sections: article.sections.map(section => ({ title: section.title, category: section.category })),
+        figures: article.figures,
+        tables: article.tables,
+        references: article.references
+      });
+    }
+    
+    let result = `📖 **${article.title}**\n`;
+    result += `**PMCID:** ${articlePmcid}${article.pmid ? ` | **PMID:** ${article.pmid}` : ''}${article.doi ? ` | **DOI:** ${article.doi}` : ''}\n`;
+    if (article.journal) {
+      result += `**Journal:** ${article.journal}\n`;
+    }
+    result += `**Full Text:** ${pmcLink}\n`;
+    
+    if (kept.length === 0) {
+      result += `\n⚠️ No sections matched: ${sectionFilters.join(', ')}. Available sections: ${article.sections.map(section => section.title).join(', ')}`;
+      return textResult(result);
+    }
+    
+    for (const section of kept) {
+      result += `\n## ${section.title}\n\n${section.text}\n`;
+    }
+    
+    if (omitted.length > 0) {
+      result += `\n✂️ **Character budget reached (${maxChars.toLocaleString()}).** Omitted sections: ${omitted.join(', ')}. Request them with the \`sections\` filter.\n`;
+    }
+    
+    const captions = [
+      ...article.figures.map(figure => `- **${figure.label || figure.id || 'Figure'}:** ${figure.caption || 'No caption'}`),
+      ...article.tables.map(table => `- **${table.label || table.id || 'Table'}:** ${table.caption || 'No caption'}`)
+    ];
+    if (captions.length > 0) {
+      result += `\n## Figures and Tables\n\n${captions.join('\n')}\n`;
+    }
+    if (article.references.length > 0) {
+      result += `\n📚 **${article.references.length} reference${article.references.length !== 1 ? 's' : ''}** (use format "json" to list them)\n`;
+    }
+    
+    return textResult(result);
+    
+  } catch (error) {
+    return errorResult(error, format, 'PMC');
+  }
+}
+
+// Handle PMC table extraction
+async function handleGetPmcTables(pmcid, pmid, tableSelector, format = 'markdown') {
+  const formatKey = String(format || 'markdown').trim().toLowerCase();
+  if (!TABLE_FORMATS.includes(formatKey)) {
+    return failureResult(`Invalid format: "${format}". Use one of: ${TABLE_FORMATS.join(', ')}.`);
+  }
+  const errorFormat = formatKey === 'json' ? 'json' : 'markdown';
+  
+  try {
+    const { pmcNumber, xmlContent } = await fetchPmcArticleXml(pmcid, pmid);
+    const root = await parseJatsXml(xmlContent);
+    const article = extractJatsArticle(root);
+    const articlePmcid = article.pmcid || `PMC${pmcNumber}`;
+    
+    const articleNode = jatsName(root) === 'article' ? root : findJats(root, 'article');
+    const tables = findAllJats(articleNode, 'table-wrap').map((tableWrap, index) => extractJatsTable(tableWrap, index + 1));
+    const selected = selectTables(tables, tableSelector);
+    
+    if (selected.length === 0) {
+      const message = tables.length === 0
+        ? `No tables found in ${articlePmcid}${article.has_body ? '' : ' (full text is not available as XML)'}.`
+        : `No table matched "${tableSelector}". Available tables: ${tables.map(table => table.label || `#${table.index}`).join(', ')}`;
+      return failureResult(message, errorFormat);
+    }
+    
+    if (formatKey === 'json') {
+      return jsonResult({
+        pmcid: articlePmcid,
+        title: article.title,
+        tables: selected
+      });
+    }
+    
+    let result = `📊 **Tables from ${articlePmcid}:** ${article.title}\n`;
+    
+    for (const table of selected) {
+      result += `\n### ${table.label || `Table ${table.index}`}${table.caption ? `: ${table.caption}` : ''}\n\n`;
+      
+      if (table.image_only) {
+        result += `_This table is only available as an image. See https://www.ncbi.nlm.nih.gov/pmc/articles/${articlePmcid}/_\n`;
+      } else if (formatKey === 'csv') {
+        result += `\`\`\`csv\n${tableToCsv(table)}\n\`\`\`\n`;
+      } else {
+        result += `${tableToMarkdown(table)}\n`;
+      }
+      
+      if (table.footnotes.length > 0) {
+        result += `\n${table.footnotes.map(note => `> ${note}`).join('\n')}\n`;
+      }
+    }
+    
+    return textResult(result);
+    
+  } catch (error) {
+    return errorResult(error, errorFormat, 'PMC');
+  }
+}
+
+// Handle similar / cited-by / reference lookups
+async function handleGetLinkedArticles(relation, pmids, depth = 1, maxResults = DEFAULT_MAX_RESULTS, format) {
+  try {
+    format = resolveOutputFormat(format);
+  } catch (error) {
+    return errorResult(error, 'markdown');
+  }
+  
+  const { valid, invalid } = parsePmidList(pmids);
+  if (valid.length === 0) {
+    return errorResult(new PubMedError('Please provide at least one valid PMID.'), format);
+  }
+  
+  if (typeof depth !== 'number' || isNaN(depth)) {
+    depth = 1;
+  }
+  depth = Math.max(1, Math.min(Math.floor(depth), MAX_LINK_DEPTH));
+  
+  if (typeof maxResults !== 'number' || isNaN(maxResults)) {
+    maxResults = DEFAULT_MAX_RESULTS;
+  }
+  maxResults = Math.max(1, Math.min(Math.floor(Math.abs(maxResults)), MAX_LINKED_RESULTS));
+  
+  const { label } = LINK_RELATIONS[relation];
+  const query = `${label} PMID ${valid.join(', ')}${depth > 1 ? ` (${depth} hops)` : ''}`;
+  
+  try {
+    const { links: linked, truncated } = await expandCitationGraph(valid, relation, depth, maxResults);
+    const batch = await fetchArticleBatch(linked.map(link => link.pmid));
+    const hopByPmid = new Map(linked.map(link => [link.pmid, link.hop]));
+    const byPmid = new Map(batch.articles.map(article => [String(article.uid), article]));
+    const articles = linked.filter(link => byPmid.has(link.pmid)).map(link => byPmid.get(link.pmid));
+    
+    const searchId = articles.length > 0
+      ? await recordSearch({
+        database: 'pubmed',
+        query,
+        relation,
+        total_count: linked.length,
+        id_list: linked.map(link => link.pmid),
+        articles
+      })
+      : null;
     
-    if (!searchResult || !searchResult.esearchresult) {
-      return {
-        content: [{ type: 'text', text: `🔍 No results found for query: **${query}**` }]
-      };
+    if (format === 'json') {
+      return jsonResult({
+        relation,
+        seeds: valid,
+        invalid,
+        depth,
+        total_count: linked.length,
+        truncated,
+        search_id: searchId,
+        ...fetchProblemsToJson(batch),
+        articles: articles.map(article => ({
+          ...extractStructuredArticleInfo(article),
+          hop: hopByPmid.get(String(article.uid)) || null
+        }))
+      });
     }
     
-    const esearchResult = searchResult.esearchresult;
-    const totalCount = parseInt(esearchResult.count || '0');
-    const idList = esearchResult.idlist || [];
-    
-    if (totalCount === 0) {
-      return {
-        content: [{ type: 'text', text: `🔍 No results found for query: **${query}**` }]
-      };
+    if (linked.length === 0) {
+      return textResult(`🔗 No linked articles found: ${query}`);
     }
     
-    // Fetch detailed article information
-    const articles = await fetchDetailedArticles(idList.slice(0, maxResults));
-    
-    if (!articles || articles.length === 0) {
-      return {
-        content: [{ type: 'text', text: `❌ No article details could be retrieved for query: **${query}**` }]
-      };
+    let result = `🔗 **${query}** - ${linked.length} article${linked.length !== 1 ? 's' : ''}\n`;
+    if (truncated) {
+      result += `📄 **Limited to ${maxResults} results** (raise max_results for more)\n`;
     }
-    
-    // Format results
-    const formattedArticles = articles.map(article => formatEnhancedArticle(article));
-    
-    // Create header
-    let header = `🔬 **Enhanced PubMed Search - Found ${totalCount.toLocaleString()} result${totalCount !== 1 ? 's' : ''} for:** *${query}*\n`;
-    if (totalCount > maxResults) {
-      header += `📄 **Showing first ${articles.length} results**\n`;
+    if (invalid.length > 0) {
+      result += `⚠️ **Invalid PMIDs skipped:** ${invalid.join(', ')}\n`;
     }
-    
-    // Count open access articles
-    const openAccessCount = articles.filter(article => 
-      extractEnhancedArticleInfo(article).pmc_available
-    ).length;
-    
-    if (openAccessCount > 0) {
-      header += `🔓 **${openAccessCount} full-text article${openAccessCount !== 1 ? 's' : ''} available in PMC**\n`;
+    result += formatFetchProblems(batch);
+    if (searchId !== null) {
+      result += `💾 **Saved as search #${searchId}** (use retrieve_pubmed_results or export_citations with this search_id)\n`;
     }
     
-    // Add disclaimer
-    const disclaimer = '\n📋 **Disclaimer:** These results are for informational purposes only and should not be considered medical advice. Consult a healthcare professional for medical concerns.';
-    
-    const resultText = header + '\n' + formattedArticles.join('\n') + disclaimer;
+    for (let hop = 1; hop <= depth; hop++) {
+      const hopArticles = articles.filter(article => hopByPmid.get(String(article.uid)) === hop);
+      if (hopArticles.length === 0) continue;
+      if (depth > 1) {
+        result += `\n\n### Hop ${hop}\n`;
+      }
+      result += '\n' + hopArticles.map(article => formatEnhancedArticle(article)).join('\n');
+    }
     
-    return {
-      content: [{ type: 'text', text: resultText }]
-    };
+    return textResult(result);
     
   } catch (error) {
-    const errorMessage = error instanceof PubMedError 
-      ? `❌ PubMed Error: ${error.message}`
-      : `❌ An unexpected error occurred: ${error.message}`;
-    
-    return {
-      content: [{ type: 'text', text: errorMessage }]
-    };
+    return errorResult(error, format);
   }
 }
 
-// Handle get full abstract
-async function handleGetFullAbstract(pmid) {
-  if (!pmid) {
-    return {
-      content: [{ type: 'text', text: '❌ Please provide a valid PMID.' }]
-    };
+// Handle MeSH descriptor lookup
+async function handleMeshLookup(term, maxResults = DEFAULT_MESH_RESULTS, format) {
+  try {
+    format = resolveOutputFormat(format);
+  } catch (error) {
+    return errorResult(error, 'markdown');
   }
   
-  // Convert to string and clean up the PMID
-  let pmidStr = String(pmid).trim();
-  
-  // Remove quotes if present
-  if ((pmidStr.startsWith('"') && pmidStr.endsWith('"')) ||
-      (pmidStr.startsWith("'") && pmidStr.endsWith("'"))) {
-    pmidStr = pmidStr.slice(1, -1);
+  if (!term || typeof term !== 'string' || !term.trim()) {
+    return errorResult(new PubMedError('Please provide a term to look up in MeSH.'), format);
   }
   
-  // Validate PMID (should be numeric)
-  if (!/^\d+$/.test(pmidStr)) {
-    return {
-      content: [{ type: 'text', text: `❌ Invalid PMID format: ${pmid}. PMID should be a number.` }]
-    };
+  if (typeof maxResults !== 'number' || isNaN(maxResults)) {
+    maxResults = DEFAULT_MESH_RESULTS;
   }
+  maxResults = Math.max(1, Math.min(Math.floor(maxResults), MAX_MESH_RESULTS));
   
   try {
-    // Use efetch to get detailed abstract
-    const articles = await fetchDetailedArticles([pmidStr]);
+    const value = term.trim();
+    const records = MESH_UI_PATTERN.test(value) || MESH_TREE_NUMBER_PATTERN.test(value)
+      ? [await resolveMeshDescriptor(value)]
+      : await searchMeshDescriptors(value, maxResults);
     
-    if (!articles || articles.length === 0) {
-      return {
-        content: [{ type: 'text', text: `❌ No article found for PMID: ${pmidStr}` }]
-      };
+    if (format === 'json') {
+      return jsonResult({
+        term: value,
+        descriptors: records.map(({ tree_links, ...record }) => record)
+      });
     }
     
-    const article = articles[0];
-    const articleInfo = extractEnhancedArticleInfo(article);
+    if (records.length === 0) {
+      return textResult(`🏷️ No MeSH descriptors found for: **${value}**`);
+    }
     
-    const {
-      title = 'No title available',
-      authors = 'No authors listed',
-      journal = 'Unknown journal',
-      pub_date = 'No date available',
-      abstract = 'No abstract available',
-      keywords = '',
-      mesh_terms = ''
-    } = articleInfo;
+    let result = `🏷️ **MeSH Lookup - ${records.length} descriptor${records.length !== 1 ? 's' : ''} for:** *${value}*\n`;
     
-    let result = `
-**📄 Complete Abstract for PMID: ${pmidStr}**
-
-**Title:** ${title}
-**Authors:** ${authors}
-**Journal:** ${journal} (${pub_date})
-
-**Abstract:**
-${abstract}
-
-**PubMed Link:** https://pubmed.ncbi.nlm.nih.gov/${pmidStr}/`;
+    for (const record of records) {
+      result += `\n**${record.name}** (${record.ui})`;
+      if (record.scope_note) {
+        result += `\n${record.scope_note}`;
+      }
+      if (record.entry_terms.length > 0) {
+        result += `\n**Entry Terms:** ${record.entry_terms.join(', ')}`;
+      }
+      if (record.tree_numbers.length > 0) {
+        result += `\n**Tree Numbers:** ${record.tree_numbers.join(', ')}`;
+      }
+      if (record.qualifiers.length > 0) {
+        result += `\n**Allowed Qualifiers:** ${record.qualifiers.join(', ')}`;
+      }
+      result += `\n**Search Tag:** \`"${record.name}"[MeSH]\`\n---`;
+    }
+    
+    return textResult(result);
+    
+  } catch (error) {
+    return errorResult(error, format);
+  }
+}
 
-    if (keywords) {
-      result += `\n**Keywords:** ${keywords}`;
+// Handle MeSH hierarchy navigation
+async function handleMeshTree(term, format) {
+  try {
+    format = resolveOutputFormat(format);
+  } catch (error) {
+    return errorResult(error, 'markdown');
+  }
+  
+  try {
+    const descriptor = await resolveMeshDescriptor(term);
+    const locations = await meshTreeNeighbourhood(descriptor);
+    
+    if (format === 'json') {
+      return jsonResult({
+        descriptor: { ui: descriptor.ui, name: descriptor.name, tree_numbers: descriptor.tree_numbers },
+        locations
+      });
+    }
+    
+    const listNames = records => (records.length > 0
+      ? records.map(record => `${record.name}${record.tree_numbers.length > 0 ? ` (${record.tree_numbers[0]})` : ''}`).join(', ')
+      : 'none');
+    
+    let result = `🌳 **MeSH Tree for:** ${descriptor.name} (${descriptor.ui})\n`;
+    
+    if (locations.length === 0) {
+      result += '\nThis descriptor has no tree locations.';
     }
     
-    if (mesh_terms) {
-      result += `\n**MeSH Terms:** ${mesh_terms}`;
+    for (const location of locations) {
+      result += `\n**${location.tree_number}**`;
+      result += `\n⬆️ **Parent:** ${location.parent ? location.parent.name : 'none (top of tree)'}`;
+      result += `\n⬇️ **Children:** ${listNames(location.children)}`;
+      result += `\n↔️ **Siblings:** ${listNames(location.siblings)}\n`;
     }
     
-    return {
-      content: [{ type: 'text', text: result }]
-    };
+    return textResult(result);
     
   } catch (error) {
-    const errorMessage = error instanceof PubMedError 
-      ? `❌ PubMed Error: ${error.message}`
-      : `❌ An unexpected error occurred: ${error.message}`;
-    
-    return {
-      content: [{ type: 'text', text: errorMessage }]
-    };
+    return errorResult(error, format);
   }
 }
 
-// Handle PMC fulltext search
-async function handleSearchPmcFulltext(query, maxResults = DEFAULT_MAX_RESULTS) {
-  if (!query || !query.trim()) {
-    return {
-      content: [{ type: 'text', text: '❌ Please provide a search query.' }]
-    };
+function formatShare(share) {
+  return share === null ? 'n/a' : `${(share * 100).toFixed(3)}%`;
+}
+
+function formatGrowth(growth) {
+  if (growth === null) return '–';
+  const percent = Math.round(growth * 1000) / 10;
+  return `${percent > 0 ? '+' : ''}${percent}%`;
+}
+
+// Handle publication trend analysis
+async function handlePublicationTrends(queries, startYear = DEFAULT_TREND_START_YEAR, endYear, format) {
+  try {
+    format = resolveOutputFormat(format);
+  } catch (error) {
+    return errorResult(error, 'markdown');
   }
   
-  query = query.trim();
+  const queryList = [...new Set(toList(queries))];
+  const currentYear = new Date().getFullYear();
+  startYear = Number.isInteger(startYear) ? startYear : DEFAULT_TREND_START_YEAR;
+  endYear = Number.isInteger(endYear) ? endYear : currentYear;
   
-  // Enhanced maxResults validation for PMC
-  if (typeof maxResults !== 'number' || isNaN(maxResults) || maxResults === null || maxResults === undefined) {
-    maxResults = DEFAULT_MAX_RESULTS;
+  if (queryList.length === 0) {
+    return errorResult(new PubMedError('Please provide at least one query.'), format);
+  }
+  if (queryList.length > MAX_TREND_QUERIES) {
+    return errorResult(new PubMedError(`Too many queries (${queryList.length}). Compare at most ${MAX_TREND_QUERIES} at a time.`), format);
+  }
+  if (startYear < 1800 || endYear > currentYear || startYear > endYear) {
+    return errorResult(new PubMedError(`Invalid year range ${startYear}-${endYear}. Use years between 1800 and ${currentYear}, with start_year <= end_year.`), format);
+  }
+  if (endYear - startYear + 1 > MAX_TREND_YEARS) {
+    return errorResult(new PubMedError(`Year range too long (${endYear - startYear + 1} years). Request at most ${MAX_TREND_YEARS} years at a time.`), format);
   }
-  maxResults = Math.max(1, Math.min(Math.floor(Math.abs(maxResults)), 50));
   
   try {
-    const articles = await search_pmc(query, maxResults);
+    const { years, totals, series, failures } = await collectPublicationTrends(queryList, startYear, endYear);
     
-    if (!articles || articles.length === 0) {
-      return {
-        content: [{ type: 'text', text: `🔍 No full-text articles found in PMC for query: **${query}**` }]
-      };
+    if (format === 'json') {
+      return jsonResult({
+        start_year: startYear,
+        end_year: endYear,
+        partial_year: endYear === currentYear ? currentYear : null,
+        pubmed_totals: years.map((year, index) => ({ year, count: totals[index] })),
+        series,
+        failures
+      });
     }
     
-    // Format results
-    const formattedArticles = articles.map(article => formatEnhancedArticle(article));
+    let result = `📈 **Publication Trends ${startYear}-${endYear}** for ${queryList.map(query => `*${query}*`).join(' vs ')}\n`;
+    if (endYear === currentYear) {
+      result += `🗓️ ${currentYear} is still in progress, so its counts are partial.\n`;
+    }
     
-    // Create header
-    let header = `📖 **PMC Full-Text Search - Found ${articles.length} result${articles.length !== 1 ? 's' : ''} for:** *${query}*\n`;
-    header += `🔓 **All results have full text available**\n`;
+    for (const entry of series) {
+      const counted = entry.counts.filter(point => point.count !== null);
+      const first = counted.find(point => point.count > 0);
+      const last = counted[counted.length - 1];
+      const peak = counted.reduce((best, point) => (!best || point.count > best.count ? point : best), null);
+      result += `\n**${entry.query}:** ${entry.total.toLocaleString()} publications`;
+      if (peak && peak.count > 0) {
+        result += ` | peak ${peak.year} (${peak.count.toLocaleString()})`;
+      }
+      if (first && last && first.year !== last.year) {
+        result += ` | ${first.year}→${last.year}: ${formatGrowth((last.count - first.count) / first.count)}`;
+      }
+    }
     
-    const disclaimer = '\n📖 **Note:** These are open access articles with full text available in PMC. Click the PMC links to access complete articles.';
+    const columns = series.flatMap(entry => (
+      series.length > 1
+        ? [`${entry.query} n`, `${entry.query} share`, `${entry.query} YoY`]
+        : ['Count', 'Share of PubMed', 'YoY growth']
+    ));
+    result += `\n\n| Year | All PubMed | ${columns.map(escapeMarkdownCell).join(' | ')} |\n`;
+    result += `|---|---|${columns.map(() => '---').join('|')}|\n`;
+    years.forEach((year, index) => {
+      const cells = series.flatMap(entry => {
+        const point = entry.counts[index];
+        return [point.count === null ? 'n/a' : point.count.toLocaleString(), formatShare(point.share), formatGrowth(point.yoy_growth)];
+      });
+      result += `| ${year} | ${totals[index] === null ? 'n/a' : totals[index].toLocaleString()} | ${cells.join(' | ')} |\n`;
+    });
     
-    const resultText = header + '\n' + formattedArticles.join('\n') + disclaimer;
+    if (failures.length > 0) {
+      result += `\n⚠️ **${failures.length} count${failures.length !== 1 ? 's' : ''} could not be retrieved** (shown as n/a): ${failures.slice(0, 5).map(failure => `\`${failure.term}\` (${failure.error})`).join(', ')}${failures.length > 5 ? ', ...' : ''}\n`;
+    }
     
-    return {
-      content: [{ type: 'text', text: resultText }]
-    };
+    return textResult(result);
     
   } catch (error) {
-    const errorMessage = error instanceof PubMedError 
-      ? `❌ PMC Error: ${error.message}`
-      : `❌ An unexpected error occurred: ${error.message}`;
-    
-    return {
-      content: [{ type: 'text', text: errorMessage }]
-    };
+    return errorResult(error, format);
   }
 }
 
-// Search PMC function (simplified version)
-async function search_pmc(query, maxResults) {
-  const searchParams = {
-    db: 'pmc',
-    term: query,
-    retmax: maxResults,
-    retmode: 'json',
-    sort: 'relevance'
-  };
-  
-  const searchResult = await makeNcbiRequest('esearch.fcgi', searchParams);
-  
-  if (!searchResult || !searchResult.esearchresult) {
-    return [];
+// Handle result-set analysis
+async function handleAnalyzeResults(query, searchId, maxResults = DEFAULT_ANALYSIS_RESULTS, topN = DEFAULT_TOP_N, format) {
+  try {
+    format = resolveOutputFormat(format);
+  } catch (error) {
+    return errorResult(error, 'markdown');
   }
   
-  const idList = searchResult.esearchresult.idlist || [];
-  
-  if (idList.length === 0) {
-    return [];
+  if (typeof maxResults !== 'number' || isNaN(maxResults)) {
+    maxResults = DEFAULT_ANALYSIS_RESULTS;
   }
+  maxResults = Math.max(1, Math.min(Math.floor(maxResults), MAX_SEARCH_RESULTS));
   
-  // Get detailed PMC information
-  const summaryParams = {
-    db: 'pmc',
-    id: idList.join(','),
-    retmode: 'json'
-  };
-  
-  const summaryResult = await makeNcbiRequest('esummary.fcgi', summaryParams);
-  
-  if (!summaryResult || !summaryResult.result) {
-    return [];
+  if (typeof topN !== 'number' || isNaN(topN)) {
+    topN = DEFAULT_TOP_N;
   }
+  topN = Math.max(1, Math.min(Math.floor(topN), MAX_TOP_N));
   
-  const articles = [];
-  for (const pmcId of idList) {
-    if (pmcId in summaryResult.result) {
-      const articleData = summaryResult.result[pmcId];
-      if (typeof articleData === 'object' && articleData.uid) {
-        // Mark as PMC article
-        articleData.is_pmc = true;
-        articleData.pmcid = `PMC${pmcId}`;
-        articles.push(articleData);
+  try {
+    let label;
+    let totalCount;
+    let pmids;
+    
+    if (searchId !== undefined && searchId !== null) {
+      const search = await loadSearch(Number(searchId));
+      if (!search) {
+        return errorResult(new PubMedError(`No stored search found with ID ${searchId}. Use list_pubmed_searches to see available searches.`), format);
       }
+      label = `stored search #${search.search_id}: ${search.query}`;
+      totalCount = Number(search.total_count || 0);
+      pmids = storedSearchPmids(search).slice(0, maxResults);
+    } else if (query && typeof query === 'string' && query.trim()) {
+      label = query.trim();
+      const searchResult = await makeNcbiRequest('esearch.fcgi', {
+        db: 'pubmed',
+        term: label,
+        retmax: maxResults,
+        retmode: 'json'
+      });
+      const esearchResult = (searchResult && searchResult.esearchresult) || {};
+      totalCount = parseInt(esearchResult.count || '0');
+      pmids = esearchResult.idlist || [];
+    } else {
+      return errorResult(new PubMedError('Please provide a query or a search_id to analyze.'), format);
+    }
+    
+    const batch = await fetchArticleBatch(pmids);
+    const articles = batch.articles;
+    const analysis = analyzeArticles(articles, topN);
+    
+    if (format === 'json') {
+      return jsonResult({ source: label, total_count: totalCount, ...fetchProblemsToJson(batch), ...analysis });
+    }
+    
+    if (articles.length === 0) {
+      return textResult(`📊 No articles to analyze for: **${label}**\n${formatFetchProblems(batch)}`.trimEnd());
+    }
+    
+    const list = (title, entries) => {
+      if (entries.length === 0) return '';
+      return `\n**${title}:**\n` + entries.map((entry, index) => `${index + 1}. ${entry.value} (${entry.count})`).join('\n') + '\n';
+    };
+    
+    let result = `📊 **Result Set Analysis - ${articles.length.toLocaleString()} article${articles.length !== 1 ? 's' : ''}** analyzed for: *${label}*\n`;
+    // Compare against the PMIDs requested: records that failed to download are listed separately below
+    if (totalCount > pmids.length) {
+      result += `ℹ️ The full result set has ${totalCount.toLocaleString()} records; only the first ${pmids.length.toLocaleString()} were analyzed.\n`;
+    }
+    result += formatFetchProblems(batch);
+    
+    result += list('Top Authors', analysis.top_authors);
+    result += list('Top Journals', analysis.top_journals);
+    result += list('Major MeSH Topics', analysis.major_mesh_terms);
+    result += list('Other MeSH Terms', analysis.minor_mesh_terms);
+    result += list('Top Keywords', analysis.top_keywords);
+    result += list('Publication Types', analysis.publication_types);
+    result += list('Countries (from affiliations)', analysis.countries);
+    
+    if (analysis.years.length > 0) {
+      const peak = Math.max(...analysis.years.map(entry => entry.count));
+      result += '\n**Publication Years:**\n```\n';
+      result += analysis.years
+        .map(entry => `${entry.year}  ${'█'.repeat(Math.max(1, Math.round((entry.count / peak) * 30)))} ${entry.count}`)
+        .join('\n');
+      result += '\n```\n';
+    }
+    
+    if (analysis.mesh_cooccurrence.length > 0) {
+      result += '\n**MeSH Co-occurrence (articles sharing both terms):**\n';
+      result += analysis.mesh_cooccurrence.map(entry => `- ${entry.pair.join(' + ')} (${entry.count})`).join('\n');
+      result += '\n';
     }
+    
+    return textResult(result);
+    
+  } catch (error) {
+    return errorResult(error, format);
   }
-  
-  return articles;
-}
-
-// Handle retrieve pubmed results
-async function handleRetrievePubmedResults(searchId, page = 1, resultsPerPage = DEFAULT_MAX_RESULTS) {
-  return {
-    content: [{ type: 'text', text: '📋 **Feature temporarily unavailable**: Database storage functionality is being implemented for the Node.js version. Please use the search functions directly.' }]
-  };
-}
-
-// Handle list pubmed searches  
-async function handleListPubmedSearches() {
-  return {
-    content: [{ type: 'text', text: '📋 **Feature temporarily unavailable**: Search history functionality is being implemented for the Node.js version. Please use the search functions directly.' }]
-  };
 }
 
 // Handle get abstract help
@@ -837,6 +5856,15 @@ async function handleGetAbstractHelp() {
 - **34465179** - Machine learning for healthcare
 - **38301492** - AI-enhanced electrocardiography
 
+**🔗 Other identifiers:**
+- \`pmid\` also accepts a PMCID (\`PMC1234567\`), a DOI (\`10.1038/...\` or \`doi:10.1038/...\`) or a PubMed, PMC or doi.org URL
+
+**📚 Batch mode (\`ids\`):**
+- \`get_full_abstract({ ids: ["35504917", "PMC1234567", "10.1038/s41586-020-2012-7"] })\`
+- Up to ${MAX_SEARCH_RESULTS} PMIDs, PMCIDs and DOIs per call, returned in request order
+- Identifiers that could not be returned are listed in a status report: ${Object.values(IDENTIFIER_STATUS_LABELS).join(', ')}
+- \`max_chars\` caps the output size (default ${DEFAULT_BATCH_ABSTRACT_CHARS.toLocaleString()}, max ${MAX_BATCH_ABSTRACT_CHARS.toLocaleString()} characters); articles beyond it are reported as omitted
+
 **💡 Tips:**
 1. PMIDs are usually 8 digits long
 2. You can copy PMIDs directly from search results
@@ -849,19 +5877,197 @@ async function handleGetAbstractHelp() {
 - Extracts MeSH terms and keywords
 - Provides bibliographic information
 - Generates direct PubMed links
-- Works with any valid PMID`;
+- Works with PMIDs, PMCIDs and DOIs, one at a time or in batches`;
 
   return {
     content: [{ type: 'text', text: helpText }]
   };
 }
 
+// Transport options from CLI flags (--transport, --port, --host, --auth-token, --cors-origin),
+// falling back to PUBMED_MCP_* environment variables
+function parseServerOptions(argv) {
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--(transport|port|host|auth-token|cors-origin)(?:=(.*))?$/.exec(argv[i]);
+    if (!match) continue;
+    const value = match[2] !== undefined ? match[2] : argv[++i];
+    if (value === undefined || value === '') {
+      throw new PubMedError(`Missing value for --${match[1]}`);
+    }
+    flags[match[1]] = value;
+  }
+  
+  const transport = (flags.transport || process.env.PUBMED_MCP_TRANSPORT || 'stdio').toLowerCase();
+  if (!['stdio', 'http'].includes(transport)) {
+    throw new PubMedError(`Unknown transport "${transport}". Use "stdio" or "http".`);
+  }
+  
+  const port = Number(flags.port || process.env.PUBMED_MCP_PORT || DEFAULT_HTTP_PORT);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new PubMedError(`Invalid port: ${flags.port || process.env.PUBMED_MCP_PORT}`);
+  }
+  
+  const corsOrigin = flags['cors-origin'] || process.env.PUBMED_MCP_CORS_ORIGIN || '';
+  
+  return {
+    transport,
+    port,
+    host: flags.host || process.env.PUBMED_MCP_HOST || DEFAULT_HTTP_HOST,
+    authToken: flags['auth-token'] || process.env.PUBMED_MCP_AUTH_TOKEN || '',
+    corsOrigins: corsOrigin.split(',').map(origin => origin.trim()).filter(Boolean)
+  };
+}
+
+// Compare digests so the check takes the same time however much of the token matches
+function isAuthorized(req, authToken) {
+  if (!authToken) return true;
+  
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!match) return false;
+  
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(match[1].trim()), digest(authToken));
+}
+
+function applyCorsHeaders(req, res, corsOrigins) {
+  const origin = req.headers.origin;
+  if (!origin || corsOrigins.length === 0) return;
+  
+  if (corsOrigins.includes('*')) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+  } else if (corsOrigins.includes(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+  } else {
+    return;
+  }
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+// Serve MCP over SSE: clients open GET /sse and post JSON-RPC messages to /messages?sessionId=...
+// All sessions share this process's cache, search history, API key and rate limiter
+function startHttpServer(options) {
+  const sessions = new Map();
+  const startedAt = Date.now();
+  const state = { sessions, closing: false };
+  
+  state.httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    applyCorsHeaders(req, res, options.corsOrigins);
+    
+    try {
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204).end();
+        return;
+      }
+      
+      if (req.method === 'GET' && url.pathname === HEALTH_PATH) {
+        sendJson(res, state.closing ? 503 : 200, {
+          status: state.closing ? 'shutting_down' : 'ok',
+          transport: 'sse',
+          sessions: sessions.size,
+          in_flight_requests: inFlightNcbiRequests.size,
+          uptime_seconds: Math.round((Date.now() - startedAt) / 1000)
+        });
+        return;
+      }
+      
+      if (!isAuthorized(req, options.authToken)) {
+        sendJson(res, 401, { error: 'Missing or invalid bearer token' }, { 'WWW-Authenticate': 'Bearer' });
+        return;
+      }
+      
+      if (req.method === 'GET' && url.pathname === SSE_PATH) {
+        if (state.closing) {
+          sendJson(res, 503, { error: 'Server is shutting down' });
+          return;
+        }
+        const transport = new SSEServerTransport(MESSAGES_PATH, res);
+        const instance = createServer();
+        sessions.set(transport.sessionId, transport);
+        const closeServer = instance.onclose;
+        instance.onclose = () => {
+          sessions.delete(transport.sessionId);
+          closeServer();
+        };
+        await instance.connect(transport);
+        return;
+      }
+      
+      if (req.method === 'POST' && url.pathname === MESSAGES_PATH) {
+        const transport = sessions.get(url.searchParams.get('sessionId'));
+        if (!transport) {
+          sendJson(res, 404, { error: 'Unknown or expired session' });
+          return;
+        }
+        await transport.handlePostMessage(req, res);
+        return;
+      }
+      
+      sendJson(res, 404, { error: 'Not found' });
+    } catch (error) {
+      console.error(`HTTP request failed: ${error.message}`);
+      if (!res.headersSent) {
+        sendJson(res, 500, { error: 'Internal server error' });
+      }
+    }
+  });
+  
+  return new Promise((resolve, reject) => {
+    state.httpServer.once('error', reject);
+    state.httpServer.listen(options.port, options.host, () => resolve(state));
+  });
+}
+
+// Set once main() has started the HTTP server, so shutdown can close it
+let httpState = null;
+let shuttingDown = false;
+
+// Stop accepting connections, let in-flight NCBI requests finish, then close open sessions
+async function shutdown() {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  
+  if (httpState) {
+    httpState.closing = true;
+    httpState.httpServer.close();
+  }
+  
+  if (!await drainInFlightRequests(SHUTDOWN_TIMEOUT)) {
+    console.error(`Shutting down with ${inFlightNcbiRequests.size} NCBI request(s) still pending`);
+  }
+  
+  if (httpState) {
+    await Promise.all([...httpState.sessions.values()].map(transport => transport.close().catch(() => {})));
+  }
+  process.exit(0);
+}
+
 // Initialize and start the server
 async function main() {
   try {
+    const options = parseServerOptions(process.argv.slice(2));
+    
     // Initialize database
     await initDatabase();
     
+    if (options.transport === 'http') {
+      httpState = await startHttpServer(options);
+      const { address, port } = httpState.httpServer.address();
+      console.error(`Enhanced PubMed MCP Server listening on http://${address}:${port}${SSE_PATH}`);
+      if (!options.authToken && !['127.0.0.1', '::1', 'localhost'].includes(options.host)) {
+        console.error('Warning: listening on a non-loopback address without --auth-token');
+      }
+      return;
+    }
+    
     // Create transport and start server
     const transport = new StdioServerTransport();
     await server.connect(transport);
@@ -869,22 +6075,24 @@ async function main() {
     // Enhanced PubMed MCP Server (Node.js) started successfully
   } catch (error) {
     console.error('Failed to start server:', error.message);
-    console.error('Stack trace:', error.stack);
+    if (!(error instanceof PubMedError)) {
+      console.error('Stack trace:', error.stack);
+    }
     process.exit(1);
   }
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-  process.exit(0);
-});
-
-process.on('SIGTERM', () => {
-  process.exit(0);
-});
-
-// Start the server
+// Start the server; signal handlers are only installed here so the CLI can require this module
 if (require.main === module) {
+  // Handle graceful shutdown
+  process.on('SIGINT', () => {
+    shutdown();
+  });
+  
+  process.on('SIGTERM', () => {
+    shutdown();
+  });
+  
   main().catch(error => {
     console.error('Fatal error:', error.message);
     console.error('Stack trace:', error.stack);
@@ -892,4 +6100,23 @@ if (require.main === module) {
   });
 }
 
-module.exports = { server };
+// The CLI (bin/enhanced-pubmed-mcp.js) calls the same tool handlers as MCP clients
+module.exports = {
+  server,
+  createServer,
+  initDatabase,
+  handleListTools,
+  handleCallTool,
+  // Parsers, formatters and the search refresh exposed for the tests in test/
+  parseJatsXml,
+  extractJatsArticle,
+  extractJatsTable,
+  selectTables,
+  assignCitationKeys,
+  formatBibtex,
+  buildSearchTerm,
+  formatReference,
+  classifyIdentifier,
+  fetchArticleBatch,
+  refreshStoredSearch
+};
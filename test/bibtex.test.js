@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { assignCitationKeys, formatBibtex } = require('../pubmed-node.js');
+
+function article(uid, overrides = {}) {
+  return {
+    uid,
+    title: 'Gene editing in mice',
+    authors: [{ name: 'Smith J', last_name: 'Smith', fore_name: 'John' }],
+    pub_year: '2020',
+    fulljournalname: 'Nature',
+    abstract: 'No abstract available',
+    ...overrides
+  };
+}
+
+// Count braces that are not escaped with a backslash
+function braceBalance(text) {
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i - 1] === '\\') continue;
+    if (text[i] === '{') depth++;
+    if (text[i] === '}') depth--;
+    assert.ok(depth >= 0, `unbalanced "}" at ${i} in ${text}`);
+  }
+  return depth;
+}
+
+test('clashing keys get a/b suffixes in PMID order', () => {
+  const keys = assignCitationKeys([article('30'), article('10'), article('20', { title: 'Unrelated work' })]);
+  assert.deepStrictEqual(keys, ['Smith2020Geneb', 'Smith2020Genea', 'Smith2020Unrelated']);
+});
+
+test('suffixed keys skip keys already issued to other articles', () => {
+  // "Genea ..." produces the base key Smith2020Genea, which the first clash suffix would reuse
+  const keys = assignCitationKeys([
+    article('1'),
+    article('2'),
+    article('3', { title: 'Genea of the north' })
+  ]);
+  assert.strictEqual(new Set(keys).size, keys.length);
+  assert.strictEqual(keys[2], 'Smith2020Genea');
+  assert.deepStrictEqual(keys.slice(0, 2), ['Smith2020Geneb', 'Smith2020Genec']);
+});
+
+test('special characters are escaped and braces stay balanced', () => {
+  const entry = formatBibtex([article('1', {
+    title: 'Costs of {unbalanced} 50% ~ x^2 \\ back_slash & more',
+    authors: [{ name: 'O{Brien', last_name: 'O{Brien', fore_name: 'A' }, { name: 'CRISPR Consortium', collective: true }],
+    fulljournalname: 'J Stat $ods #1'
+  })], ['Key1'], { includeAbstract: false });
+
+  assert.strictEqual(braceBalance(entry), 0);
+  assert.match(entry, /\\textasciitilde\{\}/);
+  assert.match(entry, /\\textasciicircum\{\}/);
+  assert.match(entry, /\\textbackslash\{\}/);
+  assert.match(entry, /50\\% /);
+  assert.match(entry, /back\\_slash \\& more/);
+  assert.match(entry, /journal = \{J Stat \\\$ods \\#1\}/);
+  assert.match(entry, /author = \{O\\\{Brien, A and \{CRISPR Consortium\}\}/);
+});
+
+test('capitalized title words are protected from lowercasing', () => {
+  const entry = formatBibtex([article('1', { title: 'CRISPR-Cas9 screens in Alzheimer disease' })], ['Key1'], {});
+  assert.match(entry, /title = \{\{CRISPR-Cas9\} screens in \{Alzheimer\} disease\}/);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { formatReference } = require('../pubmed-node.js');
+
+const PAPER = {
+  title: 'Gene editing in mice.',
+  fulljournalname: 'Nature',
+  medline_ta: 'Nature',
+  pub_year: '2020',
+  pub_month: 'Mar',
+  pub_day: '05',
+  volume: '580',
+  issue: '7801',
+  pages: '100-110',
+  elocationid: 'doi:10.1038/abc'
+};
+
+// Author1 J, Author2 J, ... for the truncation rules
+function authors(count) {
+  return Array.from({ length: count }, (_, i) => ({ name: `J Author${i + 1}`, last_name: `Author${i + 1}`, initials: 'J' }));
+}
+
+function names(count, render) {
+  return authors(count).map(author => render(author.last_name));
+}
+
+test('Vancouver lists six authors, then the first six and et al.', () => {
+  assert.strictEqual(
+    formatReference({ ...PAPER, authors: authors(6) }, 'vancouver', false),
+    `${names(6, last => `${last} J`).join(', ')}. Gene editing in mice. Nature. 2020 Mar 5;580(7801):100-10. doi: 10.1038/abc`
+  );
+  assert.strictEqual(
+    formatReference({ ...PAPER, authors: authors(7) }, 'vancouver', false),
+    `${names(6, last => `${last} J`).join(', ')}, et al. Gene editing in mice. Nature. 2020 Mar 5;580(7801):100-10. doi: 10.1038/abc`
+  );
+});
+
+test('AMA lists six authors, then the first three and et al.', () => {
+  assert.ok(formatReference({ ...PAPER, authors: authors(6) }, 'ama', false).startsWith(`${names(6, last => `${last} J`).join(', ')}. Gene`));
+  assert.strictEqual(
+    formatReference({ ...PAPER, authors: authors(7) }, 'ama', false),
+    'Author1 J, Author2 J, Author3 J, et al. Gene editing in mice. Nature. 2020;580(7801):100-110. doi:10.1038/abc'
+  );
+});
+
+test('APA lists up to 20 authors, then the first 19, an ellipsis and the last', () => {
+  const apaName = last => `${last}, J.`;
+  assert.ok(formatReference({ ...PAPER, authors: authors(20) }, 'apa', false)
+    .startsWith(`${names(19, apaName).join(', ')}, & Author20, J. (2020).`));
+  assert.strictEqual(
+    formatReference({ ...PAPER, authors: authors(21) }, 'apa', false),
+    `${names(19, apaName).join(', ')}, . . . Author21, J. (2020). Gene editing in mice. Nature, 580(7801), 100–110. https://doi.org/10.1038/abc`
+  );
+  assert.strictEqual(
+    formatReference({ ...PAPER, authors: [{ name: 'Jane Ann Smith', last_name: 'Smith', fore_name: 'Jane Ann' }] }, 'apa'),
+    'Smith, J. A. (2020). Gene editing in mice. *Nature*, *580*(7801), 100–110. https://doi.org/10.1038/abc'
+  );
+});
+
+test('Harvard names up to three authors, then the first and et al.', () => {
+  assert.strictEqual(
+    formatReference({ ...PAPER, authors: authors(3) }, 'harvard', false),
+    "Author1, J., Author2, J. and Author3, J. (2020) 'Gene editing in mice', Nature, 580(7801), pp. 100–110. Available at: https://doi.org/10.1038/abc."
+  );
+  assert.ok(formatReference({ ...PAPER, authors: authors(4) }, 'harvard', false).startsWith('Author1, J. et al. (2020)'));
+  assert.ok(formatReference({ ...PAPER, authors: [] }, 'harvard', false).startsWith('Anon. (2020)'));
+});
+
+test('Vancouver shortens page ranges only where the leading digits repeat', () => {
+  const pages = value => formatReference({ ...PAPER, authors: authors(1), pages: value }, 'vancouver', false).match(/;580\(7801\):(\S+)\./)[1];
+  assert.strictEqual(pages('1234-1239'), '1234-9');
+  assert.strictEqual(pages('99-102'), '99-102');
+  assert.strictEqual(pages('e1002'), 'e1002');
+  // Ranges PubMed already abbreviated are expanded for the styles that print them in full
+  assert.match(formatReference({ ...PAPER, authors: authors(1), pages: '1234-9' }, 'ama', false), /:1234-1239\./);
+  assert.match(formatReference({ ...PAPER, authors: authors(1), pages: '1234-9' }, 'harvard', false), /pp\. 1234–1239\./);
+  assert.match(formatReference({ ...PAPER, authors: authors(1), pages: '17' }, 'harvard', false), /, p\. 17\./);
+});
+
+test('dates keep the parts the record has and fall back when the year is missing', () => {
+  const undated = { ...PAPER, authors: authors(1), pub_year: '', pub_month: '', pub_day: '' };
+  assert.match(formatReference({ ...PAPER, authors: authors(1), pub_month: '11', pub_day: '' }, 'vancouver', false), / 2020 Nov;580/);
+  assert.match(formatReference({ ...PAPER, authors: authors(1), pub_month: '' }, 'vancouver', false), / 2020;580/);
+  assert.match(formatReference(undated, 'apa', false), /^Author1, J\. \(n\.d\.\)\./);
+  assert.match(formatReference(undated, 'harvard', false), /^Author1, J\. \(no date\)/);
+});
+
+test('unknown styles are rejected', () => {
+  assert.throws(() => formatReference(PAPER, 'chicago'), /Invalid citation style: "chicago"/);
+});
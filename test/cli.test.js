@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PassThrough } = require('stream');
+
+const { stubNcbi, calls, pubmedXml } = require('./ncbi-stub');
+const { runCommand } = require('../bin/cli.js');
+
+function pubmedResponder(endpoint, params) {
+  if (endpoint === 'esearch.fcgi') {
+    return { esearchresult: { count: '2', idlist: ['11111111', '22222222'], webenv: 'WE1', querykey: '1' } };
+  }
+  if (endpoint === 'efetch.fcgi') {
+    return pubmedXml(String(params.id).split(','));
+  }
+  return {};
+}
+
+// Run a subcommand with stdout, stderr and (optionally) stdin captured
+async function run(name, argv, stdin) {
+  const stdout = [];
+  const stderr = [];
+  const writeStdout = process.stdout.write;
+  const consoleError = console.error;
+  const stdinDescriptor = Object.getOwnPropertyDescriptor(process, 'stdin');
+  
+  // The test runner reports to the parent process over stdout in binary; only text is the command's
+  process.stdout.write = function (chunk, ...rest) {
+    if (typeof chunk !== 'string') return writeStdout.call(this, chunk, ...rest);
+    stdout.push(chunk);
+    const callback = rest.find(arg => typeof arg === 'function');
+    if (callback) callback();
+    return true;
+  };
+  console.error = (...args) => stderr.push(args.join(' '));
+  if (stdin !== undefined) {
+    const stream = new PassThrough();
+    stream.end(stdin);
+    Object.defineProperty(process, 'stdin', { value: stream, configurable: true });
+  }
+  
+  try {
+    const code = await runCommand(name, argv);
+    return { code, stdout: stdout.join(''), stderr: stderr.join('\n') };
+  } finally {
+    process.stdout.write = writeStdout;
+    console.error = consoleError;
+    if (stdin !== undefined) Object.defineProperty(process, 'stdin', stdinDescriptor);
+  }
+}
+
+test('search --format ndjson prints one article per line and exits 0', async () => {
+  stubNcbi(pubmedResponder);
+  const { code, stdout } = await run('search', ['crispr', '--max-results', '1', '--format', 'ndjson']);
+  
+  assert.strictEqual(code, 0);
+  const records = stdout.trim().split('\n').map(line => JSON.parse(line));
+  assert.deepStrictEqual(records.map(record => record.pmid), ['11111111']);
+  
+  const esearch = calls.find(call => call.endpoint === 'esearch.fcgi');
+  assert.strictEqual(esearch.params.term, 'crispr');
+  const efetch = calls.find(call => call.endpoint === 'efetch.fcgi');
+  assert.strictEqual(efetch.params.id, '11111111');
+});
+
+test('export reads PMIDs from stdin and maps --format json to CSL-JSON', async () => {
+  stubNcbi(pubmedResponder);
+  const { code, stdout, stderr } = await run('export', ['-', '--format', 'json'], '11111111\n22222222, 11111111\n');
+  
+  assert.strictEqual(code, 0);
+  const efetch = calls.find(call => call.endpoint === 'efetch.fcgi');
+  assert.deepStrictEqual(String(efetch.params.id).split(','), ['11111111', '22222222']);
+  assert.deepStrictEqual(JSON.parse(stdout).map(item => item.PMID), ['11111111', '22222222']);
+  assert.match(stderr, /Exported 2 citations/);
+});
+
+test('invalid option values are usage errors (exit 2) and reach no NCBI endpoint', async () => {
+  stubNcbi(pubmedResponder);
+  
+  const badNumber = await run('search', ['crispr', '--max-results', 'lots']);
+  assert.strictEqual(badNumber.code, 2);
+  assert.match(badNumber.stderr, /--max-results expects a number/);
+  
+  const unknown = await run('search', ['crispr', '--colour', 'red']);
+  assert.strictEqual(unknown.code, 2);
+  assert.match(unknown.stderr, /Unknown option --colour/);
+  
+  assert.strictEqual(calls.length, 0);
+});
+
+test('failed lookups exit 1 with the message on stderr', async () => {
+  stubNcbi(pubmedResponder);
+  const { code, stdout, stderr } = await run('export', ['123', '--format', 'yaml']);
+  
+  assert.strictEqual(code, 1);
+  assert.strictEqual(stdout, '');
+  assert.match(stderr, /Invalid citation format: "yaml"/);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { stubNcbi, calls, pubmedXml, httpError } = require('./ncbi-stub');
+const { fetchArticleBatch } = require('../pubmed-node.js');
+
+const PMIDS = Array.from({ length: 8 }, (_, i) => String(i + 1));
+
+function requestedIds(params) {
+  return String(params.id).split(',');
+}
+
+function fetchedPmids(batch) {
+  return batch.articles.map(article => String(article.uid));
+}
+
+test('a chunk NCBI rejects is bisected down to the PMID that breaks it', async () => {
+  stubNcbi((endpoint, params) => {
+    if (requestedIds(params).includes('6')) throw httpError(400);
+    return pubmedXml(requestedIds(params));
+  });
+  
+  const batch = await fetchArticleBatch(PMIDS);
+  
+  assert.deepStrictEqual(fetchedPmids(batch), ['1', '2', '3', '4', '5', '7', '8']);
+  assert.deepStrictEqual(batch.failedChunks.map(chunk => chunk.pmids), [['6']]);
+  assert.match(batch.failedChunks[0].error, /400/);
+  assert.deepStrictEqual(batch.missingPmids, []);
+  assert.deepStrictEqual(calls.map(call => call.params.id), ['1,2,3,4,5,6,7,8', '1,2,3,4', '5,6,7,8', '5,6', '5', '6', '7,8']);
+});
+
+test('a response that cannot be parsed is bisected the same way', async () => {
+  stubNcbi((endpoint, params) => (requestedIds(params).includes('3')
+    ? '<PubmedArticleSet><PubmedArticle>'
+    : pubmedXml(requestedIds(params))));
+  
+  const batch = await fetchArticleBatch(PMIDS);
+  
+  assert.deepStrictEqual(fetchedPmids(batch), ['1', '2', '4', '5', '6', '7', '8']);
+  assert.deepStrictEqual(batch.failedChunks.map(chunk => chunk.pmids), [['3']]);
+});
+
+test('PMIDs NCBI leaves out of a good response are reported as missing, not failed', async () => {
+  stubNcbi((endpoint, params) => pubmedXml(requestedIds(params).filter(pmid => pmid !== '2' && pmid !== '8')));
+  
+  const batch = await fetchArticleBatch(PMIDS);
+  
+  assert.deepStrictEqual(batch.missingPmids, ['2', '8']);
+  assert.deepStrictEqual(batch.failedChunks, []);
+  assert.strictEqual(calls.length, 1);
+});
+
+test('server errors are not bisected: the whole chunk is reported as failed', async () => {
+  stubNcbi(() => { throw httpError(503); });
+  
+  const batch = await fetchArticleBatch(PMIDS);
+  
+  assert.deepStrictEqual(batch.articles, []);
+  assert.deepStrictEqual(batch.failedChunks.map(chunk => chunk.pmids), [PMIDS]);
+  assert.strictEqual(calls.length, 1);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { classifyIdentifier } = require('../pubmed-node.js');
+
+function classify(input) {
+  const { type, value } = classifyIdentifier(input);
+  return [type, value];
+}
+
+test('PMIDs, bare or labelled and from PubMed URLs', () => {
+  assert.deepStrictEqual(classify('12345678'), ['pmid', '12345678']);
+  assert.deepStrictEqual(classify('  PMID: 12345678 '), ['pmid', '12345678']);
+  assert.deepStrictEqual(classify('pmid12345678'), ['pmid', '12345678']);
+  assert.deepStrictEqual(classify('"12345678"'), ['pmid', '12345678']);
+  assert.deepStrictEqual(classify('https://pubmed.ncbi.nlm.nih.gov/12345678/'), ['pmid', '12345678']);
+  assert.deepStrictEqual(classify('http://www.ncbi.nlm.nih.gov/pubmed/12345678'), ['pmid', '12345678']);
+});
+
+test('PMCIDs are upper-cased, with or without a label, and read from PMC and Europe PMC URLs', () => {
+  assert.deepStrictEqual(classify('PMC1234567'), ['pmcid', 'PMC1234567']);
+  assert.deepStrictEqual(classify('pmc1234567'), ['pmcid', 'PMC1234567']);
+  assert.deepStrictEqual(classify('PMCID: pmc1234567'), ['pmcid', 'PMC1234567']);
+  assert.deepStrictEqual(classify('https://www.ncbi.nlm.nih.gov/pmc/articles/PMC1234567/'), ['pmcid', 'PMC1234567']);
+  assert.deepStrictEqual(classify('https://pmc.ncbi.nlm.nih.gov/articles/pmc1234567'), ['pmcid', 'PMC1234567']);
+  assert.deepStrictEqual(classify('https://europepmc.org/article/PMC1234567'), ['pmcid', 'PMC1234567']);
+});
+
+test('DOIs lose their doi: or resolver prefix and are URL-decoded', () => {
+  assert.deepStrictEqual(classify('10.1038/s41586-020-2012-7'), ['doi', '10.1038/s41586-020-2012-7']);
+  assert.deepStrictEqual(classify('doi:10.1038/s41586-020-2012-7'), ['doi', '10.1038/s41586-020-2012-7']);
+  assert.deepStrictEqual(classify('DOI: 10.1038/s41586-020-2012-7'), ['doi', '10.1038/s41586-020-2012-7']);
+  assert.deepStrictEqual(classify(' https://doi.org/10.1038/s41586-020-2012-7 '), ['doi', '10.1038/s41586-020-2012-7']);
+  assert.deepStrictEqual(classify('http://dx.doi.org/10.1002/%28SICI%291097-4636'), ['doi', '10.1002/(SICI)1097-4636']);
+});
+
+test('anything else is invalid and keeps the original input', () => {
+  assert.deepStrictEqual(classify('PMC'), ['invalid', 'PMC']);
+  assert.deepStrictEqual(classify('12345abc'), ['invalid', '12345abc']);
+  assert.deepStrictEqual(classify('10.12/short-registrant'), ['invalid', '10.12/short-registrant']);
+  assert.deepStrictEqual(classify('doi:10.1038/has space'), ['invalid', 'doi:10.1038/has space']);
+  assert.strictEqual(classifyIdentifier(' 123 ').input, ' 123 ');
+});
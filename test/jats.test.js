@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { parseJatsXml, extractJatsArticle } = require('../pubmed-node.js');
+
+function loadArticle(name) {
+  const xml = fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+  return parseJatsXml(xml).then(extractJatsArticle);
+}
+
+test('reads article identifiers and metadata', async () => {
+  const article = await loadArticle('pmc-article.xml');
+  
+  assert.strictEqual(article.pmcid, 'PMC9000001');
+  assert.strictEqual(article.pmid, '22222222');
+  assert.strictEqual(article.doi, '10.1371/journal.pone.0000001');
+  assert.strictEqual(article.title, 'Effect of X on Y: a randomized trial');
+  assert.strictEqual(article.journal, 'PLoS ONE');
+  assert.strictEqual(article.has_body, true);
+});
+
+test('splits the body into categorized sections', async () => {
+  const article = await loadArticle('pmc-article.xml');
+  
+  assert.deepStrictEqual(
+    article.sections.map(section => [section.title, section.category]),
+    [
+      ['Abstract', 'abstract'],
+      ['Introduction', 'introduction'],
+      ['Materials and Methods', 'methods'],
+      ['Results', 'results'],
+      ['Discussion', 'discussion']
+    ]
+  );
+  
+  const methods = article.sections[2].text;
+  assert.match(methods, /### Participants/);
+  assert.match(methods, /- Age > 18\n- Consent/);
+});
+
+test('brackets citation numbers instead of running them into the text', async () => {
+  const article = await loadArticle('pmc-article.xml');
+  const intro = article.sections.find(section => section.category === 'introduction').text;
+  
+  assert.strictEqual(intro, 'Cells[1] are small, as shown before [2].');
+});
+
+test('keeps floats out of the text and lists their captions', async () => {
+  const article = await loadArticle('pmc-article.xml');
+  const results = article.sections.find(section => section.category === 'results').text;
+  
+  assert.strictEqual(results, 'Primary outcome improved (Table 1).');
+  assert.deepStrictEqual(article.figures, [
+    { id: 'f1', label: 'Fig 1', title: 'Flow chart.', caption: 'Flow chart. CONSORT diagram.' }
+  ]);
+  assert.deepStrictEqual(article.tables, [
+    { id: 't1', label: 'Table 1', title: 'Baseline characteristics.', caption: 'Baseline characteristics. Values are n (%).' }
+  ]);
+});
+
+test('extracts references from mixed and element citations', async () => {
+  const article = await loadArticle('pmc-article.xml');
+  
+  assert.deepStrictEqual(article.references, [
+    { id: 'r1', label: '1', citation: 'Doe J. Small cells. Nature. 2019;1:2. 11111111', pmid: '11111111', doi: '' },
+    { id: 'r2', label: '2', citation: 'Roe R Tiny cells Cell 2020 10.1016/j.cell.2020.01.001', pmid: '', doi: '10.1016/j.cell.2020.01.001' }
+  ]);
+});
+
+test('rejects documents without an article', async () => {
+  const root = await parseJatsXml('<pmc-articleset><error>not found</error></pmc-articleset>');
+  assert.throws(() => extractJatsArticle(root), /No article found/);
+});
@@ -0,0 +1,56 @@
+// Shared by the tests that call the server with NCBI stubbed out; not a test file itself.
+// Must be required before pubmed-node.js so the data directory and axios stub are in place.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.PUBMED_MCP_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'pubmed-mcp-test-'));
+process.env.PUBMED_MCP_CACHE = 'off';
+process.env.PUBMED_MCP_MAX_RETRIES = '0';
+// An API key shortens the client-side rate limit delay between stubbed requests
+process.env.NCBI_API_KEY = process.env.NCBI_API_KEY || 'test-key';
+
+const axios = require('axios');
+
+const FIXTURE_ARTICLES = new Map(
+  (fs.readFileSync(path.join(__dirname, 'fixtures', 'pubmed-articles.xml'), 'utf8')
+    .match(/<PubmedArticle>[\s\S]*?<\/PubmedArticle>/g) || [])
+    .map(xml => [/<PMID[^>]*>(\d+)<\/PMID>/.exec(xml)[1], xml])
+);
+
+// The fixture records where they exist, otherwise a minimal record titled "Article <pmid>"
+function pubmedXml(pmids) {
+  const articles = pmids.map(pmid => FIXTURE_ARTICLES.get(String(pmid)) || `<PubmedArticle>
+  <MedlineCitation Status="MEDLINE" Owner="NLM">
+    <PMID Version="1">${pmid}</PMID>
+    <Article>
+      <Journal><JournalIssue><PubDate><Year>2020</Year></PubDate></JournalIssue><Title>Journal</Title></Journal>
+      <ArticleTitle>Article ${pmid}</ArticleTitle>
+    </Article>
+  </MedlineCitation>
+</PubmedArticle>`);
+  return `<?xml version="1.0" ?>\n<PubmedArticleSet>\n${articles.join('\n')}\n</PubmedArticleSet>`;
+}
+
+// An axios-style failure with an HTTP status
+function httpError(status) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, data: '', headers: {} } });
+}
+
+const calls = [];
+let responder = () => ({});
+
+// responder(endpoint, params) returns the response body or throws (e.g. httpError(400))
+function stubNcbi(fn) {
+  responder = fn;
+  calls.length = 0;
+}
+
+axios.get = async (url, options = {}) => {
+  const endpoint = url.split('/').pop();
+  const params = options.params || {};
+  calls.push({ endpoint, params });
+  return { status: 200, headers: {}, data: await responder(endpoint, params) };
+};
+
+module.exports = { stubNcbi, calls, pubmedXml, httpError };
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { stubNcbi, calls, pubmedXml } = require('./ncbi-stub');
+const { handleCallTool, refreshStoredSearch } = require('../pubmed-node.js');
+
+// The saved search matched 101-103; count is the current size of the result set and window the
+// PMIDs esearch returns for the Entrez date window, newest first
+function responder(count, window) {
+  return (endpoint, params) => {
+    if (endpoint === 'esearch.fcgi') {
+      if (params.datetype === 'edat') {
+        return { esearchresult: { count: String(window.length), idlist: window } };
+      }
+      if (params.retmax === 0) {
+        return { esearchresult: { count: String(count) } };
+      }
+      return { esearchresult: { count: '3', idlist: ['101', '102', '103'], webenv: 'WEB1', querykey: '1' } };
+    }
+    if (endpoint === 'efetch.fcgi') {
+      return pubmedXml(String(params.id).split(','));
+    }
+    return {};
+  };
+}
+
+async function saveSearch() {
+  stubNcbi(responder(3, []));
+  const result = await handleCallTool({ params: { name: 'search_pubmed', arguments: { query: 'crispr', max_results: 2, format: 'json' } } });
+  return JSON.parse(result.content[0].text).search_id;
+}
+
+test('stored matches in the date window are not reported as new', async () => {
+  const searchId = await saveSearch();
+  
+  // 103 was stored but never fetched as a record; 104 matched the same day but was not stored
+  stubNcbi(responder(3, ['104', '103', '102']));
+  assert.strictEqual(await refreshStoredSearch(searchId), null);
+  assert.strictEqual(calls.filter(call => call.params.datetype === 'edat').length, 0);
+});
+
+test('only the growth of the result set is reported, newest first', async () => {
+  const searchId = await saveSearch();
+  
+  stubNcbi(responder(4, ['105', '104', '103']));
+  const updated = await refreshStoredSearch(searchId);
+  
+  assert.deepStrictEqual(updated.new_pmids, ['105']);
+  assert.deepStrictEqual(updated.id_list, ['105', '101', '102', '103']);
+  assert.strictEqual(updated.total_count, 4);
+  assert.deepStrictEqual(updated.articles.map(article => article.uid), ['105', '101', '102']);
+  
+  // The next check starts from the new count, so the same window holds nothing new
+  stubNcbi(responder(4, ['105', '104', '103']));
+  assert.strictEqual(await refreshStoredSearch(searchId), null);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { buildSearchTerm } = require('../pubmed-node.js');
+
+test('a query without filters is passed through unchanged', () => {
+  assert.strictEqual(buildSearchTerm('crispr AND mice'), 'crispr AND mice');
+  assert.strictEqual(buildSearchTerm('', {}), '');
+});
+
+test('date ranges are normalized and open ends filled in', () => {
+  assert.strictEqual(
+    buildSearchTerm('crispr', { min_date: '2020-1-5', max_date: '2021.12' }),
+    '(crispr) AND ("2020/01/05"[dp] : "2021/12"[dp])'
+  );
+  assert.strictEqual(buildSearchTerm('crispr', { min_date: '2020' }), '(crispr) AND ("2020"[dp] : "3000"[dp])');
+  assert.strictEqual(
+    buildSearchTerm('crispr', { max_date: '2019/06', date_type: 'entrez' }),
+    '(crispr) AND ("1800"[edat] : "2019/06"[edat])'
+  );
+});
+
+test('invalid dates and date types are rejected', () => {
+  assert.throws(() => buildSearchTerm('crispr', { min_date: 'last year' }), /Invalid min_date: "last year"/);
+  assert.throws(() => buildSearchTerm('crispr', { max_date: '2020/13' }), /Invalid max_date: "2020\/13". Month or day is out of range/);
+  assert.throws(() => buildSearchTerm('crispr', { min_date: '2020', date_type: 'received' }), /Invalid date_type: "received"/);
+});
+
+test('publication types accept friendly keys and full names, without duplicates', () => {
+  assert.strictEqual(
+    buildSearchTerm('stroke', { publication_types: ['rct', 'Randomized Controlled Trial', 'meta-analysis'] }),
+    '(stroke) AND ("Randomized Controlled Trial"[pt] OR "Meta-Analysis"[pt])'
+  );
+  assert.throws(() => buildSearchTerm('stroke', { publication_types: 'blog post' }), /Unknown publication type: "blog post"/);
+});
+
+test('languages accept two-letter codes and names', () => {
+  assert.strictEqual(
+    buildSearchTerm('stroke', { languages: ['en', 'Japanese'] }),
+    '(stroke) AND (english[la] OR japanese[la])'
+  );
+  assert.throws(() => buildSearchTerm('stroke', { languages: 'en OR 1=1' }), /Invalid language: "en OR 1=1"/);
+});
+
+test('species, free full text and abstract filters add their subsets', () => {
+  assert.strictEqual(
+    buildSearchTerm('stroke', { humans_only: true, free_full_text: true, has_abstract: true }),
+    '(stroke) AND humans[mh] AND free full text[sb] AND hasabstract'
+  );
+});
+
+test('exclude_retracted groups the positive clauses before NOT', () => {
+  assert.strictEqual(buildSearchTerm('stroke OR infarction', { exclude_retracted: true }), '(stroke OR infarction) NOT "retracted publication"[pt]');
+  assert.strictEqual(
+    buildSearchTerm('stroke', { has_abstract: true, exclude_retracted: true }),
+    '((stroke) AND hasabstract) NOT "retracted publication"[pt]'
+  );
+});
+
+test('filter-only searches compile without a query', () => {
+  assert.strictEqual(
+    buildSearchTerm('', { journal: 'The "Lancet"', author: 'Doudna JA' }),
+    '"The Lancet"[journal] AND "Doudna JA"[au]'
+  );
+  assert.strictEqual(buildSearchTerm('', { free_full_text: true }), 'free full text[sb]');
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { stubNcbi, calls, pubmedXml, httpError } = require('./ncbi-stub');
+const { handleCallTool } = require('../pubmed-node.js');
+
+const RESULT_SET = ['101', '102', '103', '104', '105', '106'];
+
+async function search(args) {
+  const result = await handleCallTool({ params: { name: 'search_pubmed', arguments: { format: 'json', ...args } } });
+  return { isError: Boolean(result.isError), data: JSON.parse(result.content[0].text) };
+}
+
+// esearch pages through RESULT_SET, both for the query and for the #1 history set;
+// options.history may replace the history response, and efetch drops options.dropped
+function responder(options = {}) {
+  return (endpoint, params) => {
+    if (endpoint === 'esearch.fcgi') {
+      if (params.term === '#1' && options.history) return options.history(params);
+      const start = Number(params.retstart || 0);
+      return {
+        esearchresult: {
+          count: String(RESULT_SET.length),
+          idlist: RESULT_SET.slice(start, start + Number(params.retmax)),
+          querytranslation: 'crispr[All Fields]',
+          webenv: 'WEB1',
+          querykey: '1'
+        }
+      };
+    }
+    if (endpoint === 'efetch.fcgi') {
+      return pubmedXml(String(params.id).split(',').filter(pmid => !(options.dropped || []).includes(pmid)));
+    }
+    return {};
+  };
+}
+
+test('later pages list their PMIDs from the history server and report missing records', async () => {
+  stubNcbi(responder({ dropped: ['104'] }));
+  const first = await search({ query: 'crispr', max_results: 2 });
+  assert.deepStrictEqual(first.data.articles.map(article => article.pmid), ['101', '102']);
+  
+  const second = await search({ cursor: first.data.next_cursor });
+  const historySearch = calls.filter(call => call.endpoint === 'esearch.fcgi').pop();
+  assert.strictEqual(historySearch.params.term, '#1');
+  assert.strictEqual(historySearch.params.WebEnv, 'WEB1');
+  assert.strictEqual(historySearch.params.retstart, 2);
+  
+  assert.strictEqual(second.isError, false);
+  assert.strictEqual(second.data.offset, 2);
+  assert.deepStrictEqual(second.data.articles.map(article => article.pmid), ['103']);
+  assert.deepStrictEqual(second.data.missing_pmids, ['104']);
+  assert.strictEqual(second.data.query_translation, 'crispr[All Fields]');
+  
+  // The dropped record does not shift the window: the next page starts after it
+  const third = await search({ cursor: second.data.next_cursor });
+  assert.deepStrictEqual(third.data.articles.map(article => article.pmid), ['105', '106']);
+  assert.strictEqual(third.data.next_cursor, null);
+});
+
+test('an expired WebEnv falls back to a fresh esearch at the same offset', async () => {
+  stubNcbi(responder());
+  const first = await search({ query: 'crispr', max_results: 2 });
+  
+  stubNcbi(responder({ history: () => ({ esearchresult: { ERROR: 'Unable to obtain query #1' } }) }));
+  const second = await search({ cursor: first.data.next_cursor });
+  
+  const fallback = calls.filter(call => call.endpoint === 'esearch.fcgi').pop();
+  assert.strictEqual(fallback.params.term, 'crispr');
+  assert.strictEqual(fallback.params.retstart, 2);
+  assert.deepStrictEqual(second.data.articles.map(article => article.pmid), ['103', '104']);
+});
+
+test('other history failures are reported instead of silently searching again', async () => {
+  stubNcbi(responder());
+  const first = await search({ query: 'crispr', max_results: 2 });
+  
+  stubNcbi(responder({ history: () => { throw httpError(503); } }));
+  const second = await search({ cursor: first.data.next_cursor });
+  
+  assert.strictEqual(second.isError, true);
+  assert.match(second.data.error, /status 503/);
+  assert.strictEqual(calls.filter(call => call.endpoint === 'esearch.fcgi' && call.params.term === 'crispr').length, 0);
+});
+
+test('cursor pages add to the search stored by the first page, which pages over every stored PMID', async () => {
+  stubNcbi(responder());
+  const first = await search({ query: 'crispr', max_results: 2 });
+  const firstSearch = calls.find(call => call.endpoint === 'esearch.fcgi');
+  assert.ok(firstSearch.params.retmax > 2);
+  
+  const second = await search({ cursor: first.data.next_cursor });
+  assert.strictEqual(second.data.search_id, first.data.search_id);
+  
+  const listed = await handleCallTool({ params: { name: 'list_pubmed_searches', arguments: { limit: 1 } } });
+  assert.match(listed.content[0].text, new RegExp(`#${first.data.search_id}\\*\\* \\[PubMed\\] \\*crispr\\* — 6 matches, 6 stored`));
+  
+  // Records 101-104 were fetched by the two pages; the last page is downloaded on retrieval
+  stubNcbi(responder());
+  const retrieved = await handleCallTool({
+    params: { name: 'retrieve_pubmed_results', arguments: { search_id: first.data.search_id, page: 3, results_per_page: 2 } }
+  });
+  const text = retrieved.content[0].text;
+  assert.match(text, /Page 3 of 3/);
+  assert.match(text, /Article 105/);
+  assert.match(text, /Article 106/);
+  assert.deepStrictEqual(calls.map(call => [call.endpoint, call.params.id]), [['efetch.fcgi', '105,106']]);
+  
+  // Downloaded records are kept with the search
+  stubNcbi(responder());
+  await handleCallTool({
+    params: { name: 'retrieve_pubmed_results', arguments: { search_id: first.data.search_id, page: 3, results_per_page: 2 } }
+  });
+  assert.strictEqual(calls.length, 0);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { parseJatsXml, extractJatsTable, selectTables } = require('../pubmed-node.js');
+
+// Collect <table-wrap> elements in document order, as get_pmc_tables does
+function tableWraps(node, results = []) {
+  for (const child of node.$$ || []) {
+    if (child['#name'] === 'table-wrap') {
+      results.push(child);
+    } else {
+      tableWraps(child, results);
+    }
+  }
+  return results;
+}
+
+async function loadTables() {
+  const root = await parseJatsXml(fs.readFileSync(path.join(__dirname, 'fixtures', 'pmc-tables.xml'), 'utf8'));
+  return tableWraps(root).map((tableWrap, index) => extractJatsTable(tableWrap, index + 1));
+}
+
+test('flattens two header rows with rowspan and colspan into column names', async () => {
+  const [table] = await loadTables();
+  
+  assert.deepStrictEqual(table.header_rows, [
+    ['Characteristic', 'Group', 'Group', 'P'],
+    ['Characteristic', 'A', 'B', 'P']
+  ]);
+  assert.deepStrictEqual(table.columns, ['Characteristic', 'Group / A', 'Group / B', 'P']);
+});
+
+test('repeats rowspan and colspan cells in every slot they cover', async () => {
+  const [table] = await loadTables();
+  
+  assert.deepStrictEqual(table.rows, [
+    ['Age, y', '54 (10)', '55 (11)', '0.4'],
+    ['Sex', 'F 20', 'F 22', '0.7'],
+    ['Sex', 'M 30', 'M 28', '0.7'],
+    ['Note', 'n/a', 'n/a', '-']
+  ]);
+  assert.deepStrictEqual(table.footnotes, ['SD in parentheses.']);
+});
+
+test('treats leading <th> rows as headers when there is no <thead>', async () => {
+  const [, table] = await loadTables();
+  
+  assert.deepStrictEqual(table.columns, ['Outcome', 'n']);
+  assert.deepStrictEqual(table.rows, [['Death', '3']]);
+});
+
+test('an empty leading row is not taken for a header row', async () => {
+  const root = await parseJatsXml(`<article><body><table-wrap id="t9"><label>Table 9</label><table><tbody>
+    <tr></tr>
+    <tr><td>Death</td><td>3</td></tr>
+  </tbody></table></table-wrap></body></article>`);
+  const table = extractJatsTable(tableWraps(root)[0], 1);
+  
+  assert.deepStrictEqual(table.header_rows, []);
+  assert.deepStrictEqual(table.rows, [['', ''], ['Death', '3']]);
+});
+
+test('selects tables by exact label number without matching supplementary tables', async () => {
+  const tables = await loadTables();
+  const labels = selector => selectTables(tables, selector).map(table => table.label);
+  
+  assert.deepStrictEqual(labels('1'), ['Table 1']);
+  assert.deepStrictEqual(labels(2), ['Table 2.']);
+  assert.deepStrictEqual(labels('S1'), ['Table S1']);
+  assert.deepStrictEqual(labels('Table 2'), ['Table 2.']);
+  assert.deepStrictEqual(labels('st1'), ['Table S1']);
+  assert.deepStrictEqual(labels('S2'), []);
+  assert.strictEqual(selectTables(tables, '').length, 3);
+});
+
+test('falls back to position when no label carries the number', async () => {
+  const tables = (await loadTables()).map(table => ({ ...table, label: '' }));
+  
+  assert.deepStrictEqual(selectTables(tables, '3').map(table => table.id), ['st1']);
+});